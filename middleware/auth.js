@@ -0,0 +1,167 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import User from '../models/User.js';
+
+const signToken = user => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+
+  return jwt.sign({ username: user.username, role: user.role }, process.env.JWT_SECRET, {
+    subject: user._id.toString(),
+    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+  });
+};
+
+// Verify the Bearer token and load the user so role changes and deletions apply immediately
+const authenticate = async (req, res, next) => {
+  if (!process.env.JWT_SECRET) {
+    return res.status(503).json({
+      success: false,
+      message: 'Authentication is not configured'
+    });
+  }
+
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authorization token is required'
+    });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid token'
+    });
+  }
+
+  try {
+    const user = await User.findById(payload.sub);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error authenticating user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin privileges are required'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Pick the organization the request acts in: the :organizationId route parameter, the
+ * X-Organization-Id header, or the caller's only organization. Sets req.organization and
+ * req.organizationRole; platform admins act as organization admins anywhere.
+ */
+const resolveOrganization = async (req, res, next) => {
+  const requested = req.params.organizationId || req.get('X-Organization-Id');
+  const isPlatformAdmin = req.user.role === 'admin';
+
+  try {
+    let organization = null;
+
+    if (requested) {
+      if (!mongoose.Types.ObjectId.isValid(requested)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Organization ID must be a valid MongoDB ObjectId'
+        });
+      }
+      organization = await Organization.findById(requested);
+    } else {
+      const memberships = await Organization.find({ 'members.user': req.user._id }).limit(2);
+      if (memberships.length > 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'X-Organization-Id header is required for members of several organizations'
+        });
+      }
+      organization = memberships[0] || null;
+    }
+
+    const role = organization && (isPlatformAdmin ? 'admin' : organization.roleOf(req.user._id));
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: requested
+          ? 'You are not a member of this organization'
+          : 'You are not a member of any organization'
+      });
+    }
+
+    req.organization = organization;
+    req.organizationRole = role;
+    next();
+  } catch (error) {
+    console.error('Error resolving organization:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+const requireOrganizationAdmin = (req, res, next) => {
+  if (req.organizationRole !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Organization admin privileges are required'
+    });
+  }
+
+  next();
+};
+
+// Only the owner of :username (or an admin) may read its data. Behind resolveOrganization the
+// admin is the organization admin, elsewhere the platform admin.
+const authorizeUsername = (req, res, next) => {
+  const { username } = req.params;
+  const isAdmin = req.organization ? req.organizationRole === 'admin' : req.user?.role === 'admin';
+
+  if (!req.user || (!isAdmin && req.user.username !== username)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You are not allowed to access data for this user'
+    });
+  }
+
+  next();
+};
+
+export {
+  authenticate,
+  authorizeUsername,
+  requireAdmin,
+  requireOrganizationAdmin,
+  resolveOrganization,
+  signToken
+};
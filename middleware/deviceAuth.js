@@ -0,0 +1,104 @@
+import DeviceKey from '../models/DeviceKey.js';
+
+// Temporary escape hatch while older firmwares are being re-flashed with keys
+const allowUnauthenticatedDevices = () => process.env.ALLOW_UNAUTHENTICATED_DEVICES === 'true';
+
+// Restrict a reading payload to the key's product (and sensor, for sensor-scoped keys).
+// Missing productId/sensor are filled in from the key so devices can omit them.
+const applyDeviceKeyScope = (deviceKey, data) => {
+  const keyProductId = deviceKey.product.toString();
+  const productId = data.productId ? String(data.productId).trim() : keyProductId;
+
+  if (productId !== keyProductId) {
+    return { error: 'API key is not valid for this product' };
+  }
+
+  let sensor = data.sensor;
+  if (deviceKey.sensor) {
+    if (sensor && sensor !== deviceKey.sensor) {
+      return { error: 'API key is not valid for this sensor' };
+    }
+    sensor = deviceKey.sensor;
+  }
+
+  return { value: { ...data, productId, sensor } };
+};
+
+// Resolve a raw key to its active DeviceKey (or null) and record the usage
+const findDeviceKey = async rawKey => {
+  const deviceKey = await DeviceKey.findActiveByRawKey(rawKey.trim());
+
+  if (deviceKey) {
+    // Usage tracking must never block ingestion
+    DeviceKey.updateOne({ _id: deviceKey._id }, { lastUsedAt: new Date() }).catch(error => {
+      console.error('Error updating device key usage:', error);
+    });
+  }
+
+  return deviceKey;
+};
+
+const authenticateDevice = async (req, res, next) => {
+  const rawKey = req.get('X-API-Key');
+
+  if (!rawKey) {
+    if (allowUnauthenticatedDevices()) {
+      return next();
+    }
+
+    return res.status(401).json({
+      success: false,
+      message: 'Device API key is required (X-API-Key header)'
+    });
+  }
+
+  try {
+    const deviceKey = await findDeviceKey(rawKey);
+
+    if (!deviceKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid, expired or revoked device API key'
+      });
+    }
+
+    req.deviceKey = deviceKey;
+
+    next();
+  } catch (error) {
+    console.error('Error authenticating device:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Single-reading routes: apply the key scope to req.body before validation
+const enforceDeviceKeyScope = (req, res, next) => {
+  if (!req.deviceKey) {
+    return next();
+  }
+
+  const { error, value } = applyDeviceKeyScope(req.deviceKey, req.body);
+  if (error) {
+    return res.status(403).json({
+      success: false,
+      message: error
+    });
+  }
+
+  req.body.productId = value.productId;
+  req.body.sensor = value.sensor;
+
+  next();
+};
+
+export {
+  allowUnauthenticatedDevices,
+  applyDeviceKeyScope,
+  authenticateDevice,
+  enforceDeviceKeyScope,
+  findDeviceKey
+};
@@ -1,78 +1,374 @@
-const validateAmperData = (req, res, next) => {
-  const { username, amper, productId } = req.body;
+import { decodeCursor } from '../services/pagination.js';
+import { isAllowedWebhookUrl } from '../services/webhookTargets.js';
+
+// Maximum number of readings accepted in a single batch request
+const MAX_BATCH_SIZE = 500;
+
+// Validate a single amper payload. Shared by the HTTP middleware and any other
+// ingestion path (batch, importers) so every reading goes through the same rules.
+// Returns { error } with a user-facing message, or { value } with cleaned fields.
+const checkAmperData = data => {
+  const { username, amper, productId, sensor } = data || {};
 
   // Check required fields
   if (!username) {
+    return { error: 'Username is required' };
+  }
+
+  if (amper === undefined || amper === null) {
+    return { error: 'Amper value is required' };
+  }
+
+  if (!productId) {
+    return { error: 'Product ID is required' };
+  }
+
+  // Validate username
+  if (typeof username !== 'string' || username.trim().length === 0) {
+    return { error: 'Username must be a non-empty string' };
+  }
+
+  if (username.length > 50) {
+    return { error: 'Username cannot exceed 50 characters' };
+  }
+
+  // Validate amper value
+  const amperNum = Number(amper);
+  if (isNaN(amperNum)) {
+    return { error: 'Amper value must be a valid number' };
+  }
+
+  if (amperNum < 0) {
+    return { error: 'Amper value cannot be negative' };
+  }
+
+  // Validate productId format (MongoDB ObjectId)
+  if (typeof productId !== 'string' || !/^[0-9a-fA-F]{24}$/.test(productId)) {
+    return { error: 'Product ID must be a valid MongoDB ObjectId' };
+  }
+
+  if (sensor !== undefined && sensor !== null && typeof sensor !== 'string') {
+    return { error: 'Sensor must be a string' };
+  }
+
+  // Rated current range depends on the sensor and is checked against the product
+  return {
+    value: {
+      username: username.trim(),
+      amper: amperNum,
+      productId: productId.trim(),
+      sensor: sensor ? sensor.trim() : undefined
+    }
+  };
+};
+
+// Clock sanity limits for device-supplied measurement times. Read at call time: this module is
+// imported before server.js loads .env
+const maxFutureMs = () => parseInt(process.env.MEASURED_AT_MAX_FUTURE_MS) || 5 * 60 * 1000; // 5 minutes
+const clockSkewWarnMs = () => parseInt(process.env.CLOCK_SKEW_WARN_MS) || 2 * 60 * 1000; // 2 minutes
+// ESP32 boards report 1970 dates until NTP sync completes
+const MIN_MEASURED_AT = new Date('2020-01-01T00:00:00Z');
+
+const parseDeviceDate = (value, label) => {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return { error: `${label} must be an ISO date string or epoch milliseconds` };
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return { error: `${label} must be a valid date` };
+  }
+
+  return { value: date };
+};
+
+// Validate an optional device-side measurement timestamp (ISO string or epoch ms).
+// Returns { value: null } when absent so callers can fall back to server time.
+// skewMs is the server/device clock difference when it can be estimated: for live
+// readings from the measurement time itself, for buffered readings only from sentAt.
+const checkMeasuredAt = (measuredAt, { now = new Date(), sentAt, buffered = false } = {}) => {
+  if (measuredAt === undefined || measuredAt === null || measuredAt === '') {
+    return { value: null };
+  }
+
+  const { error, value: date } = parseDeviceDate(measuredAt, 'Measured at');
+  if (error) {
+    return { error };
+  }
+
+  if (date < MIN_MEASURED_AT) {
+    return { error: 'Measured at is too far in the past - device clock is not synchronized' };
+  }
+
+  if (date.getTime() - now.getTime() > maxFutureMs()) {
+    return { error: 'Measured at cannot be in the future' };
+  }
+
+  const reference = sentAt || (buffered ? null : date);
+  if (!reference) {
+    return { value: date, skewMs: null, skewed: false };
+  }
+
+  const skewMs = now.getTime() - reference.getTime();
+
+  return {
+    value: date,
+    skewMs,
+    skewed: Math.abs(skewMs) > clockSkewWarnMs()
+  };
+};
+
+const MAX_DELIVERY_ID_LENGTH = 128;
+
+const isDeliveryId = value =>
+  typeof value === 'string' &&
+  value.trim().length > 0 &&
+  value.length <= MAX_DELIVERY_ID_LENGTH &&
+  /^[\x21-\x7e]+$/.test(value.trim());
+
+// Optional retry protection: an idempotency key, or a device sequence number. seq must
+// increase by one per reading for a (deviceId, bootId) pair of a product; bootId lets devices
+// that cannot persist seq across reboots start a new sequence.
+const checkDeliveryFields = ({ idempotencyKey, deviceId, bootId, seq }) => {
+  const value = {};
+
+  if (idempotencyKey !== undefined && idempotencyKey !== null) {
+    if (!isDeliveryId(idempotencyKey)) {
+      return {
+        error: `Idempotency key must be 1-${MAX_DELIVERY_ID_LENGTH} printable ASCII characters`
+      };
+    }
+    value.idempotencyKey = idempotencyKey.trim();
+  }
+
+  if (deviceId !== undefined && deviceId !== null) {
+    if (!isDeliveryId(String(deviceId))) {
+      return { error: `Device ID must be 1-${MAX_DELIVERY_ID_LENGTH} printable ASCII characters` };
+    }
+    value.deviceId = String(deviceId).trim();
+  }
+
+  if (bootId !== undefined && bootId !== null) {
+    if (!isDeliveryId(String(bootId))) {
+      return { error: `Boot ID must be 1-${MAX_DELIVERY_ID_LENGTH} printable ASCII characters` };
+    }
+    value.bootId = String(bootId).trim();
+  }
+
+  if (seq !== undefined && seq !== null) {
+    const seqNum = Number(seq);
+    if (!Number.isSafeInteger(seqNum) || seqNum < 0) {
+      return { error: 'Sequence number must be a non-negative integer' };
+    }
+    if (!value.deviceId) {
+      return { error: 'Device ID is required when a sequence number is sent' };
+    }
+    value.seq = seqNum;
+  } else if (value.bootId) {
+    return { error: 'Boot ID is only used together with a sequence number' };
+  }
+
+  return { value };
+};
+
+const MAX_FIRMWARE_VERSION_LENGTH = 64;
+
+// Optional firmware version reported by a device (e.g. "1.4.2" or a git describe string)
+const checkFirmwareVersion = firmwareVersion => {
+  if (firmwareVersion === undefined || firmwareVersion === null) {
+    return { value: undefined };
+  }
+
+  if (
+    typeof firmwareVersion !== 'string' ||
+    firmwareVersion.trim().length === 0 ||
+    firmwareVersion.length > MAX_FIRMWARE_VERSION_LENGTH
+  ) {
+    return {
+      error: `Firmware version must be a non-empty string of at most ${MAX_FIRMWARE_VERSION_LENGTH} characters`
+    };
+  }
+
+  return { value: firmwareVersion.trim() };
+};
+
+// Single-reading payload as accepted by POST /api/data and the MQTT gateway
+const checkReadingPayload = data => {
+  const { error, value } = checkAmperData(data);
+  if (error) {
+    return { error };
+  }
+
+  const measured = checkMeasuredAt(data.measuredAt);
+  if (measured.error) {
+    return { error: measured.error };
+  }
+
+  const delivery = checkDeliveryFields(data);
+  if (delivery.error) {
+    return { error: delivery.error };
+  }
+
+  // Without either, a device that restarts its sequence after a reboot and measures the same
+  // value again would have its new readings taken for replays
+  if (delivery.value.seq !== undefined && !delivery.value.bootId && !measured.value) {
+    return { error: 'A sequence number needs a boot ID or a measured at timestamp' };
+  }
+
+  const firmware = checkFirmwareVersion(data.firmwareVersion);
+  if (firmware.error) {
+    return { error: firmware.error };
+  }
+
+  return {
+    value: {
+      ...value,
+      ...delivery.value,
+      firmwareVersion: firmware.value,
+      measuredAt: measured.value,
+      clockSkewMs: measured.value ? measured.skewMs : null,
+      clockSkewed: Boolean(measured.skewed)
+    }
+  };
+};
+
+const validateAmperData = (req, res, next) => {
+  // The Idempotency-Key header and the body field are interchangeable but must agree
+  const headerKey = req.get('Idempotency-Key');
+  if (headerKey && req.body.idempotencyKey && headerKey !== req.body.idempotencyKey) {
     return res.status(400).json({
       success: false,
-      message: 'Username is required'
+      message: 'Idempotency-Key header does not match idempotencyKey in the body'
     });
   }
 
-  if (amper === undefined || amper === null) {
+  const { error, value } = checkReadingPayload({
+    ...req.body,
+    idempotencyKey: headerKey || req.body.idempotencyKey
+  });
+
+  if (error) {
     return res.status(400).json({
       success: false,
-      message: 'Amper value is required'
+      message: error
     });
   }
 
-  if (!productId) {
+  // Clean and set validated data
+  req.body.username = value.username;
+  req.body.amper = value.amper;
+  req.body.productId = value.productId;
+  req.body.sensor = value.sensor;
+  req.body.measuredAt = value.measuredAt;
+  req.body.clockSkewMs = value.clockSkewMs;
+  req.body.clockSkewed = value.clockSkewed;
+  req.body.idempotencyKey = value.idempotencyKey;
+  req.body.deviceId = value.deviceId;
+  req.body.bootId = value.bootId;
+  req.body.seq = value.seq;
+  req.body.firmwareVersion = value.firmwareVersion;
+
+  next();
+};
+
+// Only checks the envelope; each reading is validated individually by the route
+// so that one bad entry does not reject the whole batch.
+const validateBatchData = (req, res, next) => {
+  const { readings } = req.body;
+
+  if (!Array.isArray(readings)) {
     return res.status(400).json({
       success: false,
-      message: 'Product ID is required'
+      message: 'Readings must be an array'
     });
   }
 
-  // Validate username
-  if (typeof username !== 'string' || username.trim().length === 0) {
+  if (readings.length === 0) {
     return res.status(400).json({
       success: false,
-      message: 'Username must be a non-empty string'
+      message: 'Readings array cannot be empty'
     });
   }
 
-  if (username.length > 50) {
+  if (readings.length > MAX_BATCH_SIZE) {
     return res.status(400).json({
       success: false,
-      message: 'Username cannot exceed 50 characters'
+      message: `Batch cannot exceed ${MAX_BATCH_SIZE} readings`
     });
   }
 
-  // Validate amper value
-  const amperNum = Number(amper);
-  if (isNaN(amperNum)) {
+  // Optional device clock at send time, used to estimate clock skew for buffered readings
+  if (req.body.sentAt !== undefined && req.body.sentAt !== null) {
+    const { error, value } = parseDeviceDate(req.body.sentAt, 'Sent at');
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    req.body.sentAt = value;
+  }
+
+  // Optional sender identity for the device registry
+  if (req.body.deviceId !== undefined && req.body.deviceId !== null) {
+    if (!isDeliveryId(String(req.body.deviceId))) {
+      return res.status(400).json({
+        success: false,
+        message: `Device ID must be 1-${MAX_DELIVERY_ID_LENGTH} printable ASCII characters`
+      });
+    }
+    req.body.deviceId = String(req.body.deviceId).trim();
+  }
+
+  const firmware = checkFirmwareVersion(req.body.firmwareVersion);
+  if (firmware.error) {
     return res.status(400).json({
       success: false,
-      message: 'Amper value must be a valid number'
+      message: firmware.error
     });
   }
+  req.body.firmwareVersion = firmware.value;
 
-  if (amperNum < 0) {
+  next();
+};
+
+// Device heartbeat. Runs after enforceDeviceKeyScope, which fills productId from a device key.
+const validateHeartbeat = (req, res, next) => {
+  const { deviceId, productId, firmwareVersion, bootId } = req.body;
+
+  if (deviceId === undefined || deviceId === null || !isDeliveryId(String(deviceId))) {
     return res.status(400).json({
       success: false,
-      message: 'Amper value cannot be negative'
+      message: `Device ID is required (1-${MAX_DELIVERY_ID_LENGTH} printable ASCII characters)`
     });
   }
 
-  if (amperNum > 100) {
+  if (!productId || !/^[0-9a-fA-F]{24}$/.test(String(productId))) {
     return res.status(400).json({
       success: false,
-      message: 'Amper value cannot exceed 100A'
+      message: 'Product ID must be a valid MongoDB ObjectId'
     });
   }
 
-  // Validate productId format (MongoDB ObjectId)
-  if (typeof productId !== 'string' || !/^[0-9a-fA-F]{24}$/.test(productId)) {
+  const firmware = checkFirmwareVersion(firmwareVersion);
+  if (firmware.error) {
     return res.status(400).json({
       success: false,
-      message: 'Product ID must be a valid MongoDB ObjectId'
+      message: firmware.error
     });
   }
 
-  // Clean and set validated data
-  req.body.username = username.trim();
-  req.body.amper = amperNum;
-  req.body.productId = productId.trim();
+  if (bootId !== undefined && bootId !== null && !isDeliveryId(String(bootId))) {
+    return res.status(400).json({
+      success: false,
+      message: `Boot ID must be 1-${MAX_DELIVERY_ID_LENGTH} printable ASCII characters`
+    });
+  }
+
+  req.body.deviceId = String(deviceId).trim();
+  req.body.productId = String(productId);
+  req.body.firmwareVersion = firmware.value;
+  req.body.bootId = bootId === undefined || bootId === null ? undefined : String(bootId).trim();
 
   next();
 };
@@ -98,4 +394,1027 @@ const validateUsername = (req, res, next) => {
   next();
 };
 
-export { validateAmperData, validateUsername };
+const validateCredentials = (req, res, next) => {
+  const { username, password } = req.body;
+
+  if (!username || typeof username !== 'string' || username.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Username is required'
+    });
+  }
+
+  if (username.length > 50) {
+    return res.status(400).json({
+      success: false,
+      message: 'Username cannot exceed 50 characters'
+    });
+  }
+
+  if (!password || typeof password !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'Password is required'
+    });
+  }
+
+  req.body.username = username.trim();
+  next();
+};
+
+const validateRegistration = (req, res, next) => {
+  const { password, email } = req.body;
+
+  if (typeof password === 'string' && (password.length < 8 || password.length > 128)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password must be between 8 and 128 characters'
+    });
+  }
+
+  if (
+    email !== undefined &&
+    (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email must be a valid email address'
+    });
+  }
+
+  next();
+};
+
+const checkSensorName = sensor => {
+  if (typeof sensor !== 'string' || sensor.trim().length === 0) {
+    return { error: 'Sensor name must be a non-empty string' };
+  }
+
+  if (sensor.trim().length > 100) {
+    return { error: 'Sensor name cannot exceed 100 characters' };
+  }
+
+  return { value: sensor.trim() };
+};
+
+// Checks an optional non-negative setting; null clears it back to the default
+const checkOptionalNumber = (value, label) => {
+  if (value === undefined || value === null) {
+    return { value };
+  }
+
+  const num = Number(value);
+  if (typeof value === 'boolean' || value === '' || isNaN(num)) {
+    return { error: `${label} must be a valid number` };
+  }
+
+  if (num < 0) {
+    return { error: `${label} cannot be negative` };
+  }
+
+  return { value: num };
+};
+
+// Range checks for already-parsed voltage / power factor; returns an error message or null
+const checkElectricalSettings = ({ voltage, powerFactor }) => {
+  if (typeof voltage === 'number' && (voltage === 0 || voltage > 1000)) {
+    return 'Voltage must be greater than 0 and at most 1000V';
+  }
+
+  if (typeof powerFactor === 'number' && (powerFactor === 0 || powerFactor > 1)) {
+    return 'Power factor must be greater than 0 and at most 1';
+  }
+
+  return null;
+};
+
+// Anomaly sensitivity for a sensor (numbers already parsed); returns an error message or null
+const checkAnomalySettings = ({ anomalyDetection, anomalyZScore, anomalyMinChange }) => {
+  if (
+    anomalyDetection !== undefined &&
+    anomalyDetection !== null &&
+    typeof anomalyDetection !== 'boolean'
+  ) {
+    return 'Anomaly detection must be a boolean';
+  }
+
+  if (typeof anomalyZScore === 'number' && (anomalyZScore < 1 || anomalyZScore > 10)) {
+    return 'Anomaly z-score must be between 1 and 10';
+  }
+
+  if (typeof anomalyMinChange === 'number' && (anomalyMinChange === 0 || anomalyMinChange > 10)) {
+    return 'Anomaly minimum change must be greater than 0 and at most 10 (1000%)';
+  }
+
+  return null;
+};
+
+// Same limit as Product.MAX_CONSUMPTION_BANDS: rollups keep a count per band position
+const MAX_CONSUMPTION_BANDS = 10;
+const MAX_BAND_LABEL_LENGTH = 32;
+
+// Validate consumption bands; null resets to the defaults. Bands must start at 0 A and follow
+// each other without gaps (each min equals the previous max), and only the last is open-ended.
+const checkConsumptionBands = bands => {
+  if (bands === null) {
+    return { value: null };
+  }
+
+  if (!Array.isArray(bands) || bands.length < 2 || bands.length > MAX_CONSUMPTION_BANDS) {
+    return { error: `Consumption bands must be an array of 2 to ${MAX_CONSUMPTION_BANDS} bands` };
+  }
+
+  const cleaned = [];
+  for (const [index, band] of bands.entries()) {
+    const { label, min, max = null } = band || {};
+    const isLast = index === bands.length - 1;
+
+    if (
+      typeof label !== 'string' ||
+      label.trim().length === 0 ||
+      label.trim().length > MAX_BAND_LABEL_LENGTH
+    ) {
+      return {
+        error: `Band label must be a non-empty string of at most ${MAX_BAND_LABEL_LENGTH} characters`
+      };
+    }
+
+    if (cleaned.some(previous => previous.label === label.trim())) {
+      return { error: `Duplicate band label '${label.trim()}'` };
+    }
+
+    if (typeof min !== 'number' || !Number.isFinite(min) || min < 0) {
+      return { error: `Band '${label.trim()}' needs a non-negative numeric min` };
+    }
+
+    const expectedMin = index === 0 ? 0 : cleaned[index - 1].max;
+    if (min !== expectedMin) {
+      return {
+        error: `Band '${label.trim()}' must start at ${expectedMin}A (bands start at 0A and cannot leave gaps)`
+      };
+    }
+
+    if (isLast) {
+      if (max !== null) {
+        return { error: 'The last band must be open-ended (no max)' };
+      }
+    } else if (typeof max !== 'number' || !Number.isFinite(max) || max < min) {
+      return { error: `Band '${label.trim()}' needs a numeric max of at least its min` };
+    }
+
+    cleaned.push({ label: label.trim(), min, max: isLast ? undefined : max });
+  }
+
+  return { value: cleaned };
+};
+
+const MAX_RETENTION_DAYS = 36500;
+
+// Validate retention periods in days; null (for the whole object or one field) turns them off
+const checkRetention = retention => {
+  if (retention === null) {
+    return { value: { rawDays: null, hourlyRollupDays: null } };
+  }
+
+  if (typeof retention !== 'object' || Array.isArray(retention)) {
+    return { error: 'Retention must be an object' };
+  }
+
+  const value = {};
+  for (const [field, label] of [
+    ['rawDays', 'Raw retention days'],
+    ['hourlyRollupDays', 'Hourly rollup retention days']
+  ]) {
+    const days = retention[field];
+    if (days === undefined || days === null) {
+      value[field] = days;
+      continue;
+    }
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS) {
+      return { error: `${label} must be an integer between 1 and ${MAX_RETENTION_DAYS}` };
+    }
+    value[field] = days;
+  }
+
+  return { value };
+};
+
+const isValidTimezone = timezone => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Validate a tariff definition; null removes the tariff
+const checkTariff = tariff => {
+  if (tariff === null) {
+    return { value: null };
+  }
+
+  if (typeof tariff !== 'object' || Array.isArray(tariff)) {
+    return { error: 'Tariff must be an object' };
+  }
+
+  const { currency = 'TRY', timezone = 'UTC', flatRate, timeOfUse = [] } = tariff;
+
+  if (typeof currency !== 'string' || currency.trim().length === 0 || currency.length > 10) {
+    return { error: 'Tariff currency must be a short non-empty string' };
+  }
+
+  if (typeof timezone !== 'string' || !isValidTimezone(timezone)) {
+    return { error: 'Tariff timezone must be a valid IANA timezone (e.g. Europe/Istanbul)' };
+  }
+
+  const flat = checkOptionalNumber(flatRate, 'Flat rate');
+  if (flat.error) {
+    return { error: flat.error };
+  }
+
+  if (!Array.isArray(timeOfUse)) {
+    return { error: 'Time-of-use periods must be an array' };
+  }
+
+  if (flat.value === undefined || flat.value === null) {
+    if (timeOfUse.length === 0) {
+      return { error: 'Tariff needs a flat rate or at least one time-of-use period' };
+    }
+  }
+
+  const periods = [];
+  for (const period of timeOfUse) {
+    const { name, startHour, endHour, rate, days = [] } = period || {};
+
+    if (!Number.isInteger(startHour) || startHour < 0 || startHour > 23) {
+      return { error: 'Time-of-use startHour must be an integer between 0 and 23' };
+    }
+
+    if (!Number.isInteger(endHour) || endHour < 1 || endHour > 24 || endHour === startHour) {
+      return {
+        error: 'Time-of-use endHour must be an integer between 1 and 24, different from startHour'
+      };
+    }
+
+    if (typeof rate !== 'number' || rate < 0) {
+      return { error: 'Time-of-use rate must be a non-negative number' };
+    }
+
+    if (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { error: 'Time-of-use days must be weekday numbers between 0 (Sunday) and 6' };
+    }
+
+    periods.push({ name, startHour, endHour, rate, days });
+  }
+
+  return {
+    value: {
+      currency: currency.trim(),
+      timezone,
+      flatRate: flat.value ?? undefined,
+      timeOfUse: periods
+    }
+  };
+};
+
+// POST requires a name; PUT only validates what is sent
+const validateProductData = (req, res, next) => {
+  const { name, sensors } = req.body;
+  const isCreate = req.method === 'POST';
+
+  if (isCreate || name !== undefined) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product name must be a non-empty string'
+      });
+    }
+
+    if (name.trim().length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product name cannot exceed 100 characters'
+      });
+    }
+
+    req.body.name = name.trim();
+  }
+
+  const { autoRegisterSensors } = req.body;
+  if (autoRegisterSensors !== undefined && typeof autoRegisterSensors !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      message: 'Auto register sensors must be a boolean'
+    });
+  }
+
+  for (const [field, label] of [
+    ['voltage', 'Voltage'],
+    ['powerFactor', 'Power factor']
+  ]) {
+    const { error, value } = checkOptionalNumber(req.body[field], label);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    req.body[field] = value;
+  }
+
+  const electricalError = checkElectricalSettings(req.body);
+  if (electricalError) {
+    return res.status(400).json({
+      success: false,
+      message: electricalError
+    });
+  }
+
+  if (req.body.tariff !== undefined) {
+    const { error, value } = checkTariff(req.body.tariff);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    req.body.tariff = value;
+  }
+
+  if (req.body.consumptionBands !== undefined) {
+    const { error, value } = checkConsumptionBands(req.body.consumptionBands);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    req.body.consumptionBands = value;
+  }
+
+  if (req.body.retention !== undefined) {
+    const { error, value } = checkRetention(req.body.retention);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    req.body.retention = value;
+  }
+
+  if (sensors !== undefined) {
+    if (!isCreate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use the sensor endpoints to change sensors of an existing product'
+      });
+    }
+
+    if (!Array.isArray(sensors)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sensors must be an array'
+      });
+    }
+
+    const cleaned = [];
+    for (const sensor of sensors) {
+      const { error, value } = checkSensorName(sensor);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      if (cleaned.includes(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Duplicate sensor '${value}'`
+        });
+      }
+      cleaned.push(value);
+    }
+
+    req.body.sensors = cleaned;
+  }
+
+  next();
+};
+
+// POST requires a name; PUT accepts a new name and/or rated range and electrical settings
+const validateSensorData = (req, res, next) => {
+  const { name } = req.body;
+
+  if (req.method === 'POST' || name !== undefined) {
+    const { error, value } = checkSensorName(name);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    req.body.name = value;
+  }
+
+  for (const [field, label] of [
+    ['minAmper', 'Minimum amper'],
+    ['maxAmper', 'Maximum amper'],
+    ['voltage', 'Voltage'],
+    ['powerFactor', 'Power factor'],
+    ['anomalyZScore', 'Anomaly z-score'],
+    ['anomalyMinChange', 'Anomaly minimum change'],
+    ['onAmper', 'On threshold'],
+    ['offAmper', 'Off threshold']
+  ]) {
+    const { error, value } = checkOptionalNumber(req.body[field], label);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    req.body[field] = value;
+  }
+
+  const { minAmper, maxAmper } = req.body;
+  if (typeof minAmper === 'number' && typeof maxAmper === 'number' && minAmper >= maxAmper) {
+    return res.status(400).json({
+      success: false,
+      message: 'Minimum amper must be lower than maximum amper'
+    });
+  }
+
+  const { onAmper, offAmper } = req.body;
+  if (typeof onAmper === 'number' && typeof offAmper === 'number' && offAmper > onAmper) {
+    return res.status(400).json({
+      success: false,
+      message: 'Off threshold cannot be higher than on threshold'
+    });
+  }
+
+  const electricalError = checkElectricalSettings(req.body);
+  if (electricalError) {
+    return res.status(400).json({
+      success: false,
+      message: electricalError
+    });
+  }
+
+  const anomalyError = checkAnomalySettings(req.body);
+  if (anomalyError) {
+    return res.status(400).json({
+      success: false,
+      message: anomalyError
+    });
+  }
+
+  if (req.body.consumptionBands !== undefined) {
+    const { error, value } = checkConsumptionBands(req.body.consumptionBands);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    req.body.consumptionBands = value;
+  }
+
+  next();
+};
+
+// Duration units accepted in timeRange (e.g. 15m, 6h, 7d, 2w) and the longest window allowed
+const DURATION_UNITS_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+const MAX_TIME_RANGE_MS = 366 * DURATION_UNITS_MS.d;
+
+const parseDuration = duration => {
+  const match = typeof duration === 'string' && duration.match(/^(\d+)([mhdw])$/);
+  if (!match) return null;
+
+  const ms = parseInt(match[1]) * DURATION_UNITS_MS[match[2]];
+  return ms > 0 ? ms : null;
+};
+
+const parseQueryDate = value => {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Resolve timeRange / from / to query parameters into a concrete window.
+// timeRange is relative to `to` (or now) and cannot be combined with `from`.
+const checkTimeWindow = ({ timeRange, from, to } = {}, now = new Date()) => {
+  let fromDate = null;
+  let toDate = null;
+
+  if (to !== undefined) {
+    toDate = parseQueryDate(to);
+    if (!toDate) {
+      return { error: "'to' must be a valid ISO date" };
+    }
+  }
+
+  if (from !== undefined) {
+    fromDate = parseQueryDate(from);
+    if (!fromDate) {
+      return { error: "'from' must be a valid ISO date" };
+    }
+  }
+
+  if (timeRange !== undefined) {
+    if (from !== undefined) {
+      return { error: "'timeRange' cannot be combined with 'from'" };
+    }
+
+    const durationMs = parseDuration(timeRange);
+    if (!durationMs) {
+      return {
+        error: "'timeRange' must be a duration like 30m, 6h, 7d or 2w"
+      };
+    }
+
+    if (durationMs > MAX_TIME_RANGE_MS) {
+      return { error: "'timeRange' cannot exceed 366 days" };
+    }
+
+    fromDate = new Date((toDate || now).getTime() - durationMs);
+  }
+
+  if (fromDate && toDate && fromDate >= toDate) {
+    return { error: "'from' must be earlier than 'to'" };
+  }
+
+  return { value: { from: fromDate, to: toDate, timeRange: timeRange || null } };
+};
+
+// Sets req.timeWindow = { from, to, timeRange } (dates may be null when unbounded)
+const validateTimeWindow = (req, res, next) => {
+  const { error, value } = checkTimeWindow(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  req.timeWindow = value;
+  next();
+};
+
+// Chart bucket sizes, smallest first, and defaults for /readings/series
+const SERIES_BUCKETS_MS = {
+  '1m': DURATION_UNITS_MS.m,
+  '5m': 5 * DURATION_UNITS_MS.m,
+  '1h': DURATION_UNITS_MS.h,
+  '1d': DURATION_UNITS_MS.d
+};
+const DEFAULT_SERIES_POINTS = 200;
+const MAX_SERIES_POINTS = 2000;
+const DEFAULT_SERIES_RANGE_MS = DURATION_UNITS_MS.d;
+
+// Must run after validateTimeWindow. Bounds the window (default: last 24 hours) and picks
+// the bucket: explicit `bucket`, otherwise the smallest one that yields at most `points`.
+// Sets req.series = { bucket, bucketMs, from, to }.
+const validateSeriesQuery = (req, res, next) => {
+  const { bucket, points } = req.query;
+
+  const to = req.timeWindow.to || new Date();
+  const from = req.timeWindow.from || new Date(to.getTime() - DEFAULT_SERIES_RANGE_MS);
+
+  if (bucket !== undefined && !Object.hasOwn(SERIES_BUCKETS_MS, bucket)) {
+    return res.status(400).json({
+      success: false,
+      message: `Bucket must be one of: ${Object.keys(SERIES_BUCKETS_MS).join(', ')}`
+    });
+  }
+
+  let targetPoints = DEFAULT_SERIES_POINTS;
+  if (points !== undefined) {
+    targetPoints = Number(points);
+    if (!Number.isInteger(targetPoints) || targetPoints < 1 || targetPoints > MAX_SERIES_POINTS) {
+      return res.status(400).json({
+        success: false,
+        message: `Points must be an integer between 1 and ${MAX_SERIES_POINTS}`
+      });
+    }
+  }
+
+  const rangeMs = to.getTime() - from.getTime();
+  const selected =
+    bucket ||
+    Object.keys(SERIES_BUCKETS_MS).find(key => rangeMs / SERIES_BUCKETS_MS[key] <= targetPoints) ||
+    '1d';
+
+  // Guard against huge responses when a small bucket is forced on a long window
+  if (rangeMs / SERIES_BUCKETS_MS[selected] > MAX_SERIES_POINTS * 10) {
+    return res.status(400).json({
+      success: false,
+      message: `Bucket '${selected}' is too small for the requested range`
+    });
+  }
+
+  req.series = { bucket: selected, bucketMs: SERIES_BUCKETS_MS[selected], from, to };
+  next();
+};
+
+const ENERGY_GROUPS = ['day', 'week', 'month'];
+const DEFAULT_ENERGY_RANGE_MS = 30 * DURATION_UNITS_MS.d;
+const DEFAULT_MAX_GAP_SECONDS = 300;
+
+// Must run after validateTimeWindow. Bounds the window (default: last 30 days) and parses
+// groupBy and maxGapSeconds. Sets req.energy = { groupBy, maxGapSeconds, from, to }.
+const validateEnergyQuery = (req, res, next) => {
+  const { groupBy = 'day', maxGapSeconds } = req.query;
+
+  if (!ENERGY_GROUPS.includes(groupBy)) {
+    return res.status(400).json({
+      success: false,
+      message: `Group by must be one of: ${ENERGY_GROUPS.join(', ')}`
+    });
+  }
+
+  let maxGap = DEFAULT_MAX_GAP_SECONDS;
+  if (maxGapSeconds !== undefined) {
+    maxGap = Number(maxGapSeconds);
+    if (!Number.isInteger(maxGap) || maxGap < 1 || maxGap > 86400) {
+      return res.status(400).json({
+        success: false,
+        message: 'Max gap seconds must be an integer between 1 and 86400'
+      });
+    }
+  }
+
+  const to = req.timeWindow.to || new Date();
+  const from = req.timeWindow.from || new Date(to.getTime() - DEFAULT_ENERGY_RANGE_MS);
+
+  req.energy = { groupBy, maxGapSeconds: maxGap, from, to };
+  next();
+};
+
+const DEFAULT_CYCLES_RANGE_MS = 7 * DURATION_UNITS_MS.d;
+
+// Must run after validateTimeWindow. Bounds the window (default: last 7 days) and parses
+// maxGapSeconds plus optional onAmper / offAmper overrides of the sensor's thresholds.
+// Sets req.cycles = { maxGapSeconds, onAmper, offAmper, from, to }.
+const validateCyclesQuery = (req, res, next) => {
+  const { maxGapSeconds } = req.query;
+
+  let maxGap = DEFAULT_MAX_GAP_SECONDS;
+  if (maxGapSeconds !== undefined) {
+    maxGap = Number(maxGapSeconds);
+    if (!Number.isInteger(maxGap) || maxGap < 1 || maxGap > 86400) {
+      return res.status(400).json({
+        success: false,
+        message: 'Max gap seconds must be an integer between 1 and 86400'
+      });
+    }
+  }
+
+  const thresholds = {};
+  for (const [field, label] of [
+    ['onAmper', 'On threshold'],
+    ['offAmper', 'Off threshold']
+  ]) {
+    const { error, value } = checkOptionalNumber(req.query[field], label);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    thresholds[field] = value;
+  }
+
+  const { onAmper, offAmper } = thresholds;
+  if (typeof onAmper === 'number' && typeof offAmper === 'number' && offAmper > onAmper) {
+    return res.status(400).json({
+      success: false,
+      message: 'Off threshold cannot be higher than on threshold'
+    });
+  }
+
+  const to = req.timeWindow.to || new Date();
+  const from = req.timeWindow.from || new Date(to.getTime() - DEFAULT_CYCLES_RANGE_MS);
+
+  req.cycles = { maxGapSeconds: maxGap, onAmper, offAmper, from, to };
+  next();
+};
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const EXPORT_COLUMNS = [
+  'id',
+  'timestamp',
+  'createdAt',
+  'username',
+  'productId',
+  'sensor',
+  'amper',
+  'clockSkewMs',
+  'clockSkewed'
+];
+const DEFAULT_EXPORT_COLUMNS = ['timestamp', 'username', 'productId', 'sensor', 'amper'];
+
+// Parses format (csv | ndjson), a comma-separated column list and an IANA timezone for
+// timestamps. Sets req.export = { format, columns, timezone }.
+const validateExportQuery = (req, res, next) => {
+  const { format = 'csv', columns, timezone = 'UTC' } = req.query;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  let selected = DEFAULT_EXPORT_COLUMNS;
+  if (columns !== undefined) {
+    selected = [
+      ...new Set(
+        String(columns)
+          .split(',')
+          .map(column => column.trim())
+      )
+    ];
+    const unknown = selected.filter(column => !EXPORT_COLUMNS.includes(column));
+
+    if (unknown.length > 0 || selected.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Columns must be a comma-separated list of: ${EXPORT_COLUMNS.join(', ')}`
+      });
+    }
+  }
+
+  if (typeof timezone !== 'string' || !isValidTimezone(timezone)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Timezone must be a valid IANA timezone (e.g. Europe/Istanbul)'
+    });
+  }
+
+  req.export = { format, columns: selected, timezone };
+  next();
+};
+
+const ALERT_RULE_TYPES = ['over', 'under', 'no_data'];
+const MAX_RULE_WEBHOOKS = 5;
+
+// Validate a complete alert rule (for updates, the stored rule merged with the changes).
+// Returns { error } or { value } with cleaned fields.
+const checkAlertRule = data => {
+  const { name, productId, type, threshold, durationSeconds = 0, noDataMinutes } = data;
+  const { sensor, username, webhooks = [], enabled = true } = data;
+
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+    return { error: 'Rule name must be a non-empty string of at most 100 characters' };
+  }
+
+  if (typeof productId !== 'string' || !/^[0-9a-fA-F]{24}$/.test(productId)) {
+    return { error: 'Product ID must be a valid MongoDB ObjectId' };
+  }
+
+  if (!ALERT_RULE_TYPES.includes(type)) {
+    return { error: `Rule type must be one of: ${ALERT_RULE_TYPES.join(', ')}` };
+  }
+
+  if (type === 'no_data') {
+    if (!Number.isInteger(noDataMinutes) || noDataMinutes < 1 || noDataMinutes > 10080) {
+      return { error: 'No-data minutes must be an integer between 1 and 10080 (7 days)' };
+    }
+  } else {
+    if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold < 0) {
+      return { error: 'Threshold must be a non-negative number' };
+    }
+
+    if (!Number.isInteger(durationSeconds) || durationSeconds < 0 || durationSeconds > 86400) {
+      return { error: 'Duration seconds must be an integer between 0 and 86400' };
+    }
+  }
+
+  if (sensor !== undefined && sensor !== null && typeof sensor !== 'string') {
+    return { error: 'Sensor must be a string' };
+  }
+
+  if (username !== undefined && username !== null) {
+    if (typeof username !== 'string' || username.trim().length === 0 || username.length > 50) {
+      return { error: 'Username must be a non-empty string of at most 50 characters' };
+    }
+  }
+
+  if (!Array.isArray(webhooks) || webhooks.length > MAX_RULE_WEBHOOKS) {
+    return { error: `Webhooks must be an array of at most ${MAX_RULE_WEBHOOKS} URLs` };
+  }
+
+  if (webhooks.some(url => typeof url !== 'string' || !isAllowedWebhookUrl(url))) {
+    return {
+      error:
+        'Webhooks must be http(s) URLs that do not point to private, loopback or link-local addresses'
+    };
+  }
+
+  if (typeof enabled !== 'boolean') {
+    return { error: 'Enabled must be a boolean' };
+  }
+
+  return {
+    value: {
+      name: name.trim(),
+      product: productId,
+      type,
+      threshold: type === 'no_data' ? undefined : threshold,
+      durationSeconds: type === 'no_data' ? 0 : durationSeconds,
+      noDataMinutes: type === 'no_data' ? noDataMinutes : undefined,
+      sensor: sensor ? sensor.trim() : undefined,
+      username: username ? username.trim() : undefined,
+      webhooks,
+      enabled
+    }
+  };
+};
+
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 500;
+
+const ORGANIZATION_ROLES = ['admin', 'member'];
+
+// Organization body: { name }
+const validateOrganizationData = (req, res, next) => {
+  const { name } = req.body;
+
+  if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+    return res.status(400).json({
+      success: false,
+      message: 'Organization name is required and cannot exceed 100 characters'
+    });
+  }
+
+  req.body.name = name.trim();
+  next();
+};
+
+// Membership body: { username, role } when adding, { role } when changing a member
+const validateMemberData = (req, res, next) => {
+  const { username } = req.body;
+  const adding = !req.params.username;
+  const role = req.body.role ?? (adding ? 'member' : undefined);
+
+  if (adding) {
+    if (typeof username !== 'string' || username.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username is required'
+      });
+    }
+    if (username.trim().length > 50) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username cannot exceed 50 characters'
+      });
+    }
+    req.body.username = username.trim();
+  }
+
+  if (!ORGANIZATION_ROLES.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      message: `Role must be one of: ${ORGANIZATION_ROLES.join(', ')}`
+    });
+  }
+
+  req.body.role = role;
+  next();
+};
+
+const ERASURE_MODES = ['delete', 'pseudonymize'];
+
+// Erasure body: { mode, confirm, reason? }; confirm must repeat the username
+const validateErasureRequest = (req, res, next) => {
+  const { mode, confirm, reason } = req.body;
+
+  if (!ERASURE_MODES.includes(mode)) {
+    return res.status(400).json({
+      success: false,
+      message: `Mode must be one of: ${ERASURE_MODES.join(', ')}`
+    });
+  }
+
+  if (confirm !== req.params.username) {
+    return res.status(400).json({
+      success: false,
+      message: 'Confirm must repeat the username to erase'
+    });
+  }
+
+  if (
+    reason !== undefined &&
+    reason !== null &&
+    (typeof reason !== 'string' || reason.length > 500)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: 'Reason must be a string of at most 500 characters'
+    });
+  }
+
+  next();
+};
+
+// Sets req.pagination for reading lists: { mode: 'cursor', limit, cursor } when `cursor` is sent
+// (empty for the newest page), otherwise the offset form { mode: 'page', limit, page, skip }
+const validatePagination = (req, res, next) => {
+  const { limit, page, cursor } = req.query;
+
+  let pageLimit = DEFAULT_PAGE_LIMIT;
+  if (limit !== undefined) {
+    pageLimit = Number(limit);
+    if (!Number.isInteger(pageLimit) || pageLimit < 1 || pageLimit > MAX_PAGE_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `Limit must be an integer between 1 and ${MAX_PAGE_LIMIT}`
+      });
+    }
+  }
+
+  if (cursor !== undefined) {
+    if (page !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use either cursor or page, not both'
+      });
+    }
+
+    const decoded = cursor === '' ? null : decodeCursor(String(cursor));
+    if (cursor !== '' && !decoded) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    req.pagination = { mode: 'cursor', limit: pageLimit, cursor: decoded };
+    return next();
+  }
+
+  const pageNumber = page === undefined ? 1 : Number(page);
+  if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+    return res.status(400).json({
+      success: false,
+      message: 'Page must be a positive integer'
+    });
+  }
+
+  req.pagination = {
+    mode: 'page',
+    limit: pageLimit,
+    page: pageNumber,
+    skip: (pageNumber - 1) * pageLimit
+  };
+  next();
+};
+
+const validateProductId = (req, res, next) => {
+  const { productId } = req.params;
+
+  if (!productId || !/^[0-9a-fA-F]{24}$/.test(productId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Product ID must be a valid MongoDB ObjectId'
+    });
+  }
+
+  next();
+};
+
+export {
+  checkAlertRule,
+  checkAmperData,
+  checkMeasuredAt,
+  checkReadingPayload,
+  checkTimeWindow,
+  validateAmperData,
+  validateBatchData,
+  validateCredentials,
+  validateCyclesQuery,
+  validateEnergyQuery,
+  validateErasureRequest,
+  validateExportQuery,
+  validateHeartbeat,
+  validateMemberData,
+  validateOrganizationData,
+  validatePagination,
+  validateProductData,
+  validateProductId,
+  validateRegistration,
+  validateSensorData,
+  validateSeriesQuery,
+  validateTimeWindow,
+  validateUsername
+};
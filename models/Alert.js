@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+const alertSchema = new mongoose.Schema(
+  {
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AlertRule',
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    // The series the alert is about; null for product-wide no-data alerts
+    sensor: {
+      type: String,
+      default: null
+    },
+    username: {
+      type: String,
+      default: null
+    },
+    // pending: condition met but not yet sustained for the rule's duration (not listed)
+    status: {
+      type: String,
+      enum: ['pending', 'open', 'resolved'],
+      required: true
+    },
+    // True while pending or open; backs the one-active-alert-per-series unique index
+    active: {
+      type: Boolean,
+      default: true
+    },
+    message: {
+      type: String
+    },
+    conditionSince: {
+      type: Date,
+      required: true
+    },
+    openedAt: {
+      type: Date,
+      default: null
+    },
+    resolvedAt: {
+      type: Date,
+      default: null
+    },
+    triggerValue: {
+      type: Number,
+      default: null
+    },
+    lastValue: {
+      type: Number,
+      default: null
+    },
+    acknowledgedAt: {
+      type: Date,
+      default: null
+    },
+    acknowledgedBy: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+alertSchema.index(
+  { rule: 1, username: 1, sensor: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+alertSchema.index({ product: 1, status: 1, openedAt: -1 });
+alertSchema.index({ username: 1, status: 1, openedAt: -1 });
+
+export default mongoose.model('Alert', alertSchema);
@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+const alertRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Rule name is required'],
+      trim: true,
+      maxlength: [100, 'Rule name cannot exceed 100 characters']
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product is required']
+    },
+    // Optional scope; when unset the rule applies to every sensor / user of the product
+    sensor: {
+      type: String,
+      trim: true
+    },
+    username: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Username cannot exceed 50 characters']
+    },
+    // over / under: amper crosses threshold; no_data: nothing received for noDataMinutes
+    type: {
+      type: String,
+      enum: ['over', 'under', 'no_data'],
+      required: [true, 'Rule type is required']
+    },
+    threshold: {
+      type: Number,
+      min: [0, 'Threshold cannot be negative']
+    },
+    // The condition must hold this long before the alert opens (0 = immediately)
+    durationSeconds: {
+      type: Number,
+      default: 0,
+      min: [0, 'Duration cannot be negative']
+    },
+    noDataMinutes: {
+      type: Number,
+      min: [1, 'No-data window must be at least 1 minute']
+    },
+    webhooks: [
+      {
+        type: String,
+        trim: true
+      }
+    ],
+    // HMAC key for the X-Amper-Signature header of this rule's deliveries; only returned when it
+    // is generated. No schema default: rules created before it must not get an unsaved one.
+    webhookSecret: {
+      type: String,
+      select: false
+    },
+    enabled: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+alertRuleSchema.index({ product: 1, enabled: 1 });
+alertRuleSchema.index({ type: 1, enabled: 1 });
+
+alertRuleSchema.statics.generateWebhookSecret = function () {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+// Whether a reading falls within the rule's product / sensor / user scope
+alertRuleSchema.methods.appliesTo = function (reading) {
+  if (this.product.toString() !== reading.product.toString()) return false;
+  if (this.sensor && this.sensor !== reading.sensor) return false;
+  if (this.username && this.username !== reading.username) return false;
+  return true;
+};
+
+// Whether an amper value violates an over / under rule
+alertRuleSchema.methods.isViolatedBy = function (amper) {
+  if (this.type === 'over') return amper > this.threshold;
+  if (this.type === 'under') return amper < this.threshold;
+  return false;
+};
+
+alertRuleSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.webhookSecret;
+    return ret;
+  }
+});
+
+export default mongoose.model('AlertRule', alertRuleSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import Product from './Product.js';
 
 const amperReadingSchema = new mongoose.Schema(
   {
@@ -12,8 +13,8 @@ const amperReadingSchema = new mongoose.Schema(
     amper: {
       type: Number,
       required: [true, 'Amper value is required'],
-      min: [0, 'Amper value cannot be negative'],
-      max: [100, 'Amper value cannot exceed 100A']
+      // Upper bound is the sensor's rated range, checked against the Product at ingestion
+      min: [0, 'Amper value cannot be negative']
     },
     product: {
       type: mongoose.Schema.Types.ObjectId,
@@ -24,6 +25,40 @@ const amperReadingSchema = new mongoose.Schema(
       type: String,
       required: false,
       trim: true
+    },
+    // Device-side time of measurement, or server receive time when the device sent none.
+    // Set by the ingestion paths rather than defaulted, so documents stored before this field
+    // existed still load without it and fall back to createdAt.
+    measuredAt: {
+      type: Date,
+      required: false
+    },
+    // Estimated device clock offset (server time - device time) in milliseconds
+    clockSkewMs: {
+      type: Number,
+      required: false
+    },
+    clockSkewed: {
+      type: Boolean,
+      default: false
+    },
+    // Retry protection: a replay with the same key or the same (deviceId, bootId, seq), both
+    // per product, returns the stored reading instead of inserting again
+    idempotencyKey: {
+      type: String,
+      required: false
+    },
+    deviceId: {
+      type: String,
+      required: false
+    },
+    bootId: {
+      type: String,
+      required: false
+    },
+    seq: {
+      type: Number,
+      required: false
     }
   },
   {
@@ -31,60 +66,62 @@ const amperReadingSchema = new mongoose.Schema(
   }
 );
 
-// Compound indexes for efficient queries
-amperReadingSchema.index({ username: 1, createdAt: -1 });
-amperReadingSchema.index({ product: 1, createdAt: -1 });
-amperReadingSchema.index({ product: 1, username: 1, createdAt: -1 });
-amperReadingSchema.index({ product: 1, username: 1, sensor: 1, createdAt: -1 });
+// Compound indexes for efficient queries. The createdAt ones end in _id for cursor pagination.
+amperReadingSchema.index({ username: 1, createdAt: -1, _id: -1 });
+amperReadingSchema.index({ product: 1, createdAt: -1, _id: -1 });
+amperReadingSchema.index({ product: 1, username: 1, createdAt: -1, _id: -1 });
+amperReadingSchema.index({ product: 1, username: 1, sensor: 1, createdAt: -1, _id: -1 });
+amperReadingSchema.index({ username: 1, measuredAt: -1 });
+amperReadingSchema.index({ product: 1, measuredAt: -1 });
+amperReadingSchema.index({ product: 1, username: 1, measuredAt: -1 });
+amperReadingSchema.index({ product: 1, username: 1, sensor: 1, measuredAt: -1 });
+amperReadingSchema.index(
+  { product: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+amperReadingSchema.index(
+  { product: 1, deviceId: 1, bootId: 1, seq: 1 },
+  { unique: true, partialFilterExpression: { seq: { $type: 'number' } } }
+);
 
-// Virtual for checking if amper is high (>= 1.0A)
-amperReadingSchema.virtual('isHighAmper').get(function () {
-  return this.amper >= 1.0;
-});
+// Readings stored before measuredAt existed only have createdAt. Sorting by measuredAt first
+// keeps them after newer readings, with createdAt ordering them among themselves.
+amperReadingSchema.statics.MEASURED_TIME_SORT = { measuredAt: -1, createdAt: -1 };
 
-// Static method to get user statistics
-amperReadingSchema.statics.getUserStats = async function (username) {
-  const stats = await this.aggregate([
-    { $match: { username: username } },
-    {
-      $group: {
-        _id: null,
-        totalReadings: { $sum: 1 },
-        highAmpCount: {
-          $sum: {
-            $cond: [{ $gte: ['$amper', 1.0] }, 1, 0]
-          }
-        },
-        lowAmpCount: {
-          $sum: {
-            $cond: [{ $lt: ['$amper', 1.0] }, 1, 0]
-          }
-        }
-      }
-    }
-  ]);
-
-  if (stats.length === 0) {
-    return {
-      totalReadings: 0,
-      highAmpCount: 0,
-      lowAmpCount: 0,
-      percentage: 0
-    };
-  }
+// Build a filter on measured time, falling back to createdAt for old documents
+amperReadingSchema.statics.measuredTimeFilter = function (from, to) {
+  if (!from && !to) return {};
+
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
 
-  const stat = stats[0];
   return {
-    totalReadings: stat.totalReadings,
-    highAmpCount: stat.highAmpCount,
-    lowAmpCount: stat.lowAmpCount,
-    percentage:
-      stat.totalReadings > 0 ? Math.round((stat.highAmpCount / stat.totalReadings) * 100) : 0
+    $or: [{ measuredAt: range }, { measuredAt: null, createdAt: range }]
   };
 };
 
+// Measured time of a (lean) reading document
+amperReadingSchema.statics.readingTime = function (reading) {
+  return reading.measuredAt || reading.createdAt;
+};
+
+// Highest consumption band of a product/sensor starts at this current
+const highAmperFrom = bands => bands[bands.length - 1].min;
+
+// Virtual for checking if amper is in the highest consumption band. Uses the product's bands
+// when `product` is populated and the default bands (>= 1.0A) otherwise.
+amperReadingSchema.virtual('isHighAmper').get(function () {
+  const bands =
+    this.product instanceof Product
+      ? this.product.getSensorSettings(this.sensor).consumptionBands
+      : Product.defaultConsumptionBands();
+
+  return this.amper >= highAmperFrom(bands);
+});
+
 // Static method to get recent readings (last 24 hours)
-amperReadingSchema.statics.getRecentReadings = async function (username) {
+amperReadingSchema.statics.getRecentReadings = async function (username, filter = {}) {
   try {
     const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
 
@@ -92,7 +129,7 @@ amperReadingSchema.statics.getRecentReadings = async function (username) {
     console.log(`📅 24 hours ago: ${twentyFourHoursAgo.toISOString()}`);
 
     // Debug: Check what data exists for this user
-    const allUserData = await this.find({ username: username })
+    const allUserData = await this.find({ ...filter, username: username })
       .select('createdAt amper')
       .sort({ createdAt: -1 })
       .limit(5);
@@ -102,11 +139,12 @@ amperReadingSchema.statics.getRecentReadings = async function (username) {
     );
 
     const readings = await this.find({
+      ...filter,
       username: username,
-      createdAt: { $gte: twentyFourHoursAgo }
+      ...this.measuredTimeFilter(twentyFourHoursAgo)
     })
-      .select('createdAt amper _id')
-      .sort({ createdAt: -1 })
+      .select('measuredAt createdAt amper _id')
+      .sort(this.MEASURED_TIME_SORT)
       .limit(100)
       .lean();
 
@@ -115,7 +153,7 @@ amperReadingSchema.statics.getRecentReadings = async function (username) {
     // Format data for mobile app with proper date formatting
     const formattedReadings = readings.map(reading => ({
       id: reading._id.toString(),
-      timestamp: reading.createdAt.toISOString(),
+      timestamp: this.readingTime(reading).toISOString(),
       amper: Number(reading.amper.toFixed(2)) // Round to 2 decimal places
     }));
 
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+// An anomaly episode: consecutive readings of one series that deviate from its hourly
+// baseline in the same direction. Later flagged readings extend the open episode.
+const anomalySchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    sensor: {
+      type: String,
+      default: null
+    },
+    username: {
+      type: String,
+      required: true
+    },
+    direction: {
+      type: String,
+      enum: ['high', 'low'],
+      required: true
+    },
+    // Reading that opened the episode and the strongest one so far
+    firstReading: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AmperReading'
+    },
+    startedAt: {
+      type: Date,
+      required: true
+    },
+    lastAt: {
+      type: Date,
+      required: true
+    },
+    readings: {
+      type: Number,
+      default: 1
+    },
+    peakAmper: {
+      type: Number,
+      required: true
+    },
+    peakZScore: {
+      type: Number,
+      required: true
+    },
+    // Baseline for the peak reading's hour of day
+    expectedAmper: {
+      type: Number,
+      required: true
+    },
+    baselineStd: {
+      type: Number,
+      required: true
+    },
+    hourOfDay: {
+      type: Number,
+      min: 0,
+      max: 23
+    },
+    // Relative change of the peak from the expected value (0.3 = 30% above)
+    change: {
+      type: Number,
+      required: true
+    },
+    // Sensitivity in effect when the episode opened
+    zScoreThreshold: {
+      type: Number,
+      required: true
+    },
+    minChange: {
+      type: Number,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+anomalySchema.index({ product: 1, sensor: 1, username: 1, lastAt: -1 });
+anomalySchema.index({ product: 1, startedAt: -1 });
+anomalySchema.index({ username: 1, startedAt: -1 });
+
+export default mongoose.model('Anomaly', anomalySchema);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Raw readings moved out of AmperReading by the retention job when ARCHIVE_TARGET=collection.
+// Documents keep their original _id and every stored field.
+const archivedReadingSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    username: String,
+    sensor: String,
+    amper: Number,
+    measuredAt: Date,
+    createdAt: Date
+  },
+  {
+    strict: false,
+    collection: 'archived_readings'
+  }
+);
+
+archivedReadingSchema.index({ product: 1, measuredAt: -1 });
+archivedReadingSchema.index({ username: 1 });
+
+export default mongoose.model('ArchivedReading', archivedReadingSchema);
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// A physical board, identified by the deviceId it sends (or its device key when it sends none)
+// within its product: the same deviceId on another product is another device.
+// Kept up to date by ingestion and heartbeats; online/offline is derived from lastSeenAt.
+const deviceSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: String,
+      required: [true, 'Device ID is required'],
+      trim: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    sensors: {
+      type: [String],
+      default: []
+    },
+    usernames: {
+      type: [String],
+      default: []
+    },
+    firmwareVersion: {
+      type: String,
+      default: null
+    },
+    bootId: {
+      type: String,
+      default: null
+    },
+    lastIp: {
+      type: String,
+      default: null
+    },
+    lastSeenAt: {
+      type: Date,
+      required: true
+    },
+    lastReadingAt: {
+      type: Date,
+      default: null
+    },
+    lastHeartbeatAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+deviceSchema.index({ product: 1, deviceId: 1 }, { unique: true });
+deviceSchema.index({ product: 1, lastSeenAt: -1 });
+deviceSchema.index({ deviceId: 1 });
+deviceSchema.index({ lastSeenAt: -1 });
+
+export default mongoose.model('Device', deviceSchema);
@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+const KEY_PREFIX = 'amp_';
+
+const deviceKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Key name cannot exceed 100 characters']
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product is required']
+    },
+    // When set, the key may only post readings for this sensor
+    sensor: {
+      type: String,
+      required: false,
+      trim: true
+    },
+    // SHA-256 of the raw key; the raw key is only returned once at creation
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+    },
+    // First characters of the raw key so operators can tell keys apart
+    keyPrefix: {
+      type: String,
+      required: true
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    // Set on rotation so the old key keeps working during the grace period
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    rotatedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeviceKey',
+      default: null
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+deviceKeySchema.index({ product: 1, createdAt: -1 });
+
+deviceKeySchema.statics.hashKey = function (rawKey) {
+  return crypto.createHash('sha256').update(rawKey).digest('hex');
+};
+
+// Create a new key and return it together with the raw secret
+deviceKeySchema.statics.issue = async function ({ product, sensor, name, rotatedFrom = null }) {
+  const rawKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  const deviceKey = await this.create({
+    name,
+    product,
+    sensor: sensor || undefined,
+    keyHash: this.hashKey(rawKey),
+    keyPrefix: rawKey.slice(0, KEY_PREFIX.length + 8),
+    rotatedFrom
+  });
+
+  return { deviceKey, rawKey };
+};
+
+// Look up a non-revoked, non-expired key by its raw value
+deviceKeySchema.statics.findActiveByRawKey = function (rawKey) {
+  const now = new Date();
+
+  return this.findOne({
+    keyHash: this.hashKey(rawKey),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  });
+};
+
+deviceKeySchema.virtual('isActive').get(function () {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+});
+
+deviceKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  }
+});
+
+export default mongoose.model('DeviceKey', deviceKeySchema);
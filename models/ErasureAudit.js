@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// One record per erasure request. The erased username itself is not stored, only its HMAC-SHA256
+// (see hashUsername in services/userData.js), so a later request for the same name can be matched
+// against the log.
+const erasureAuditSchema = new mongoose.Schema(
+  {
+    usernameHash: {
+      type: String,
+      required: true
+    },
+    // delete: the user's data is removed; pseudonymize: it stays under `pseudonym`
+    mode: {
+      type: String,
+      enum: ['delete', 'pseudonymize'],
+      required: true
+    },
+    pseudonym: {
+      type: String,
+      default: null
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: null
+    },
+    requestedBy: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'failed'],
+      default: 'running'
+    },
+    // Documents / archived readings changed per collection
+    affected: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    error: {
+      type: String,
+      default: null
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+erasureAuditSchema.index({ usernameHash: 1, createdAt: -1 });
+erasureAuditSchema.index({ createdAt: -1 });
+
+export default mongoose.model('ErasureAudit', erasureAuditSchema);
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+const ORGANIZATION_ROLES = ['admin', 'member'];
+
+// admin: manages the organization's products and members and sees all of their readings;
+// member: sees only the readings recorded under their own username
+const memberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ORGANIZATION_ROLES,
+      default: 'member'
+    }
+  },
+  { _id: false }
+);
+
+// A pending membership: the user becomes a member only by accepting it, so an admin cannot put
+// someone into their organization (and thus behind X-Organization-Id) on their own
+const invitationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ORGANIZATION_ROLES,
+      default: 'member'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+// A tenant (e.g. an installer). Owns Products and, through them, their readings.
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Organization name is required'],
+      unique: true,
+      trim: true,
+      minlength: [1, 'Organization name must be at least 1 character'],
+      maxlength: [100, 'Organization name cannot exceed 100 characters']
+    },
+    members: {
+      type: [memberSchema],
+      default: []
+    },
+    invitations: {
+      type: [invitationSchema],
+      default: []
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+organizationSchema.index({ 'members.user': 1 });
+organizationSchema.index({ 'invitations.user': 1 });
+
+// The user's role in this organization, or null for non-members (pending invitations included)
+organizationSchema.methods.roleOf = function (userId) {
+  const member = this.members.find(entry => entry.user.toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+// The user's pending invitation, or undefined
+organizationSchema.methods.invitationOf = function (userId) {
+  return this.invitations.find(entry => entry.user.toString() === userId.toString());
+};
+
+organizationSchema.statics.ROLES = ORGANIZATION_ROLES;
+
+export default mongoose.model('Organization', organizationSchema);
@@ -1,5 +1,222 @@
 import mongoose from 'mongoose';
 
+// Used for sensors without their own rated current range
+const DEFAULT_MIN_AMPER = 0;
+const DEFAULT_MAX_AMPER = 100;
+
+// Used for energy calculation when neither the sensor nor the product sets them
+const DEFAULT_VOLTAGE = 230;
+const DEFAULT_POWER_FACTOR = 1;
+
+// Anomaly detection: flag readings this many standard deviations from the sensor's usual
+// current for that hour of day, and at least this relative change (0.3 = 30%) from it
+const DEFAULT_ANOMALY_Z_SCORE = 3;
+const DEFAULT_ANOMALY_MIN_CHANGE = 0.3;
+
+// On/off cycle detection: an appliance switches on at or above onAmper and back off below
+// offAmper (hysteresis, so noise around a single boundary does not count as cycles)
+const DEFAULT_ON_AMPER = 0.5;
+const DEFAULT_OFF_RATIO = 0.8;
+
+// Consumption bands used to categorise readings. Bands are contiguous from 0 A and a reading
+// belongs to the first band with min <= amper < max; a band with min === max holds exactly that
+// value. The last band is open-ended and counts as high consumption.
+const DEFAULT_CONSUMPTION_BANDS = [
+  { label: 'off', min: 0, max: 0 },
+  { label: 'low', min: 0, max: 0.5 },
+  { label: 'mid', min: 0.5, max: 1 },
+  { label: 'high', min: 1, max: null }
+];
+
+const consumptionBandSchema = new mongoose.Schema(
+  {
+    label: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    min: {
+      type: Number,
+      required: true,
+      min: [0, 'Band minimum cannot be negative']
+    },
+    // Omitted on the last (open-ended) band
+    max: {
+      type: Number,
+      min: [0, 'Band maximum cannot be negative']
+    }
+  },
+  { _id: false }
+);
+
+// Reading rollups keep one count per band position, so a product has at most this many bands
+const MAX_CONSUMPTION_BANDS = 10;
+
+// Aggregation expression giving the label (or, `indexed`, the position) of the band `$amper`
+// falls into
+const bandSwitch = (bands, indexed = false) => ({
+  $switch: {
+    branches: bands.slice(0, -1).map(({ label, min, max }, index) => ({
+      case: min === max ? { $eq: ['$amper', min] } : { $lt: ['$amper', max] },
+      then: indexed ? index : label
+    })),
+    default: indexed ? bands.length - 1 : bands[bands.length - 1].label
+  }
+});
+
+// Position of the band an amper value falls into, like bandSwitch
+const bandIndex = (bands, amper) => {
+  const index = bands
+    .slice(0, -1)
+    .findIndex(({ min, max }) => (min === max ? amper === min : amper < max));
+  return index === -1 ? bands.length - 1 : index;
+};
+
+const plainBands = bands => bands.map(({ label, min, max }) => ({ label, min, max: max ?? null }));
+
+// Per-sensor configuration, keyed by the sensor name in `sensors`
+const sensorSettingsSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    minAmper: {
+      type: Number,
+      min: [0, 'Minimum amper cannot be negative']
+    },
+    maxAmper: {
+      type: Number,
+      min: [0, 'Maximum amper cannot be negative']
+    },
+    // Override the product's nominal voltage / power factor for this sensor
+    voltage: {
+      type: Number,
+      min: [0, 'Voltage cannot be negative']
+    },
+    powerFactor: {
+      type: Number,
+      min: [0, 'Power factor must be between 0 and 1'],
+      max: [1, 'Power factor must be between 0 and 1']
+    },
+    anomalyDetection: {
+      type: Boolean
+    },
+    anomalyZScore: {
+      type: Number,
+      min: [0, 'Anomaly z-score cannot be negative']
+    },
+    anomalyMinChange: {
+      type: Number,
+      min: [0, 'Anomaly minimum change cannot be negative']
+    },
+    onAmper: {
+      type: Number,
+      min: [0, 'On threshold cannot be negative']
+    },
+    offAmper: {
+      type: Number,
+      min: [0, 'Off threshold cannot be negative']
+    },
+    // Overrides the product's consumption bands for this sensor
+    consumptionBands: {
+      type: [consumptionBandSchema],
+      default: undefined
+    }
+  },
+  { _id: false }
+);
+
+// A time-of-use period: [startHour, endHour) in the tariff's timezone, wrapping past midnight
+// when startHour > endHour. `days` limits it to weekdays (0 = Sunday); empty means every day.
+const tariffPeriodSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true
+    },
+    startHour: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 23
+    },
+    endHour: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 24
+    },
+    days: [
+      {
+        type: Number,
+        min: 0,
+        max: 6
+      }
+    ],
+    rate: {
+      type: Number,
+      required: true,
+      min: [0, 'Rate cannot be negative']
+    }
+  },
+  { _id: false }
+);
+
+// Price per kWh. Time-of-use periods take precedence; flatRate covers the remaining hours.
+const tariffSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      trim: true,
+      default: 'TRY'
+    },
+    timezone: {
+      type: String,
+      trim: true,
+      default: 'UTC'
+    },
+    flatRate: {
+      type: Number,
+      min: [0, 'Rate cannot be negative']
+    },
+    timeOfUse: [tariffPeriodSchema]
+  },
+  { _id: false }
+);
+
+// Raw readings older than rawDays are archived and deleted by the retention job
+// (services/retention.js), hourly rollups older than hourlyRollupDays are deleted. Daily rollups
+// are kept forever. The *Before dates record what has already been removed.
+const retentionSchema = new mongoose.Schema(
+  {
+    rawDays: {
+      type: Number,
+      min: [1, 'Raw retention must be at least 1 day']
+    },
+    hourlyRollupDays: {
+      type: Number,
+      min: [1, 'Hourly rollup retention must be at least 1 day']
+    },
+    rawArchivedBefore: {
+      type: Date
+    },
+    hourlyRollupsPrunedBefore: {
+      type: Date
+    },
+    lastRun: {
+      startedAt: Date,
+      finishedAt: Date,
+      archivedReadings: Number,
+      deletedReadings: Number,
+      prunedHourlyRollups: Number,
+      error: String
+    }
+  },
+  { _id: false }
+);
+
 const productSchema = new mongoose.Schema(
   {
     name: {
@@ -9,12 +226,44 @@ const productSchema = new mongoose.Schema(
       minlength: [1, 'Product name must be at least 1 character'],
       maxlength: [100, 'Product name cannot exceed 100 characters']
     },
+    // Owning tenant; only its members can see the product and its readings
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization'
+    },
     sensors: [
       {
         type: String,
         trim: true
       }
-    ]
+    ],
+    sensorSettings: [sensorSettingsSchema],
+    // Add unknown sensors to `sensors` on ingestion instead of rejecting the reading
+    autoRegisterSensors: {
+      type: Boolean,
+      default: false
+    },
+    voltage: {
+      type: Number,
+      min: [0, 'Voltage cannot be negative']
+    },
+    powerFactor: {
+      type: Number,
+      min: [0, 'Power factor must be between 0 and 1'],
+      max: [1, 'Power factor must be between 0 and 1']
+    },
+    tariff: {
+      type: tariffSchema,
+      default: null
+    },
+    consumptionBands: {
+      type: [consumptionBandSchema],
+      default: undefined
+    },
+    retention: {
+      type: retentionSchema,
+      default: null
+    }
   },
   {
     timestamps: true
@@ -23,13 +272,168 @@ const productSchema = new mongoose.Schema(
 
 // Index for efficient queries
 productSchema.index({ name: 1 });
+productSchema.index({ organization: 1, createdAt: -1 });
 
-// Virtual populate for amperreadings
-productSchema.virtual('amperreadings', {
-  ref: 'AmperReading',
-  localField: '_id',
-  foreignField: 'product'
-});
+// Effective settings for a sensor, with defaults filled in
+productSchema.methods.getSensorSettings = function (sensor) {
+  const settings = this.sensorSettings.find(entry => entry.name === sensor);
+  const onAmper = settings?.onAmper ?? DEFAULT_ON_AMPER;
+  const bands = settings?.consumptionBands?.length
+    ? settings.consumptionBands
+    : this.getConsumptionBands();
+
+  return {
+    name: sensor,
+    minAmper: settings?.minAmper ?? DEFAULT_MIN_AMPER,
+    maxAmper: settings?.maxAmper ?? DEFAULT_MAX_AMPER,
+    voltage: settings?.voltage ?? this.voltage ?? DEFAULT_VOLTAGE,
+    powerFactor: settings?.powerFactor ?? this.powerFactor ?? DEFAULT_POWER_FACTOR,
+    anomalyDetection: settings?.anomalyDetection ?? true,
+    anomalyZScore: settings?.anomalyZScore ?? DEFAULT_ANOMALY_Z_SCORE,
+    anomalyMinChange: settings?.anomalyMinChange ?? DEFAULT_ANOMALY_MIN_CHANGE,
+    onAmper,
+    offAmper: settings?.offAmper ?? onAmper * DEFAULT_OFF_RATIO,
+    consumptionBands: plainBands(bands)
+  };
+};
+
+// Change the retention periods; null turns one off. What was already archived stays recorded.
+productSchema.methods.setRetention = function ({ rawDays, hourlyRollupDays }) {
+  if (!this.retention) {
+    this.retention = {};
+  }
+
+  Object.entries({ rawDays, hourlyRollupDays }).forEach(([field, value]) => {
+    if (value !== undefined) {
+      this.retention.set(field, value === null ? undefined : value);
+    }
+  });
+};
+
+// Product-wide consumption bands, used by sensors without their own
+productSchema.methods.getConsumptionBands = function () {
+  return plainBands(
+    this.consumptionBands?.length ? this.consumptionBands : DEFAULT_CONSUMPTION_BANDS
+  );
+};
+
+// Aggregation expression giving the band label (or, `indexed`, the band position) of a reading
+// of this product. Without a sensor, readings are categorised with their own sensor's bands.
+productSchema.methods.consumptionBandExpression = function (sensor, { indexed = false } = {}) {
+  if (sensor) {
+    return bandSwitch(this.getSensorSettings(sensor).consumptionBands, indexed);
+  }
+
+  const productBands = bandSwitch(this.getConsumptionBands(), indexed);
+  const overrides = this.sensorSettings.filter(entry => entry.consumptionBands?.length);
+  if (overrides.length === 0) {
+    return productBands;
+  }
+
+  return {
+    $switch: {
+      branches: overrides.map(entry => ({
+        case: { $eq: ['$sensor', entry.name] },
+        then: bandSwitch(entry.consumptionBands, indexed)
+      })),
+      default: productBands
+    }
+  };
+};
+
+// Position of the band a reading of the sensor falls into
+productSchema.methods.consumptionBandIndex = function (sensor, amper) {
+  return bandIndex(this.getSensorSettings(sensor).consumptionBands, amper);
+};
+
+// Band labels in display order; without a sensor also those only a sensor override defines
+productSchema.methods.consumptionBandLabels = function (sensor) {
+  if (sensor) {
+    return this.getSensorSettings(sensor).consumptionBands.map(band => band.label);
+  }
+
+  const labels = this.getConsumptionBands().map(band => band.label);
+  this.sensorSettings.forEach(entry => {
+    (entry.consumptionBands || []).forEach(({ label }) => {
+      if (!labels.includes(label)) labels.push(label);
+    });
+  });
+  return labels;
+};
+
+// A product of the given organization, or null (also for malformed IDs and other tenants)
+productSchema.statics.findForOrganization = function (productId, organizationId) {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ _id: productId, organization: organizationId });
+};
+
+// IDs of every product of the organization, for filtering readings by username
+productSchema.statics.organizationProductIds = function (organizationId) {
+  return this.distinct('_id', { organization: organizationId });
+};
+
+// Bands for readings whose product no longer exists
+productSchema.statics.defaultConsumptionBands = function () {
+  return plainBands(DEFAULT_CONSUMPTION_BANDS);
+};
+
+productSchema.statics.defaultConsumptionBandIndex = function (amper) {
+  return bandIndex(DEFAULT_CONSUMPTION_BANDS, amper);
+};
+
+productSchema.statics.defaultConsumptionBandExpression = function ({ indexed = false } = {}) {
+  return bandSwitch(DEFAULT_CONSUMPTION_BANDS, indexed);
+};
+
+productSchema.statics.MAX_CONSUMPTION_BANDS = MAX_CONSUMPTION_BANDS;
+
+// Merge changes into a sensor's settings entry; null resets a field to its default
+productSchema.methods.updateSensorSettings = function (sensor, changes) {
+  let entry = this.sensorSettings.find(settings => settings.name === sensor);
+  if (!entry) {
+    this.sensorSettings.push({ name: sensor });
+    entry = this.sensorSettings[this.sensorSettings.length - 1];
+  }
+
+  Object.entries(changes).forEach(([field, value]) => {
+    if (value !== undefined) {
+      entry.set(field, value === null ? undefined : value);
+    }
+  });
+};
+
+// Check an incoming reading against the product's sensors and the sensor's rated range.
+// Returns { error } or { value: { registerSensor } } where registerSensor means the
+// sensor is unknown but the product allows auto-registration.
+productSchema.methods.checkReading = function ({ sensor, amper }) {
+  let registerSensor = false;
+
+  if (sensor) {
+    if (!this.sensors.includes(sensor)) {
+      if (!this.autoRegisterSensors) {
+        return {
+          error: `Sensor '${sensor}' not found in product. Available sensors: ${this.sensors.join(', ')}`
+        };
+      }
+      registerSensor = true;
+    }
+  }
+
+  const { minAmper, maxAmper } = this.getSensorSettings(sensor);
+  const scope = sensor ? ` for sensor '${sensor}'` : '';
+
+  if (amper < minAmper) {
+    return { error: `Amper value cannot be below ${minAmper}A${scope}` };
+  }
+
+  if (amper > maxAmper) {
+    return { error: `Amper value cannot exceed ${maxAmper}A${scope}` };
+  }
+
+  return { value: { registerSensor } };
+};
 
 // Ensure virtual fields are serialized
 productSchema.set('toJSON', { virtuals: true });
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// Pre-aggregated readings of one series (product / sensor / username) per UTC hour or day.
+// Kept up to date on ingestion by services/rollups.js; `npm run backfill-rollups` rebuilds them.
+const createRollupSchema = () => {
+  const schema = new mongoose.Schema({
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    sensor: {
+      type: String,
+      default: null
+    },
+    username: {
+      type: String,
+      required: true
+    },
+    // Start of the hour / day (UTC) the readings were measured in
+    bucket: {
+      type: Date,
+      required: true
+    },
+    count: {
+      type: Number,
+      default: 0
+    },
+    sum: {
+      type: Number,
+      default: 0
+    },
+    min: {
+      type: Number
+    },
+    max: {
+      type: Number
+    },
+    // Readings per consumption band position ('0', '1', ...), categorised with the bands of the
+    // product / sensor when they were rolled up
+    bands: {
+      type: Map,
+      of: Number,
+      default: undefined
+    },
+    // Measured time of the newest reading in the bucket
+    lastReadingAt: {
+      type: Date
+    }
+  });
+
+  schema.index({ product: 1, username: 1, sensor: 1, bucket: 1 }, { unique: true });
+  schema.index({ product: 1, sensor: 1, bucket: 1 });
+  schema.index({ product: 1, bucket: 1 });
+
+  return schema;
+};
+
+const HourlyRollup = mongoose.model('HourlyRollup', createRollupSchema(), 'rollups_hourly');
+const DailyRollup = mongoose.model('DailyRollup', createRollupSchema(), 'rollups_daily');
+
+export { DailyRollup, HourlyRollup };
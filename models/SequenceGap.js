@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// A run of sequence numbers missing between two readings of one device, i.e. packet loss.
+// Late (out-of-order) arrivals inside the range count as recovered.
+const sequenceGapSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    deviceId: {
+      type: String,
+      required: true
+    },
+    bootId: {
+      type: String,
+      default: null
+    },
+    username: {
+      type: String,
+      required: true
+    },
+    // Inclusive range of missing sequence numbers
+    fromSeq: {
+      type: Number,
+      required: true
+    },
+    toSeq: {
+      type: Number,
+      required: true
+    },
+    missing: {
+      type: Number,
+      required: true
+    },
+    recovered: {
+      type: Number,
+      default: 0
+    },
+    // Set once every missing reading arrived late
+    closedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+sequenceGapSchema.virtual('lost').get(function () {
+  return this.missing - this.recovered;
+});
+
+sequenceGapSchema.index({ product: 1, deviceId: 1, bootId: 1, fromSeq: 1 });
+sequenceGapSchema.index({ product: 1, closedAt: 1, createdAt: -1 });
+
+export default mongoose.model('SequenceGap', sequenceGapSchema);
@@ -0,0 +1,59 @@
+import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
+
+const SALT_ROUNDS = 10;
+
+const userSchema = new mongoose.Schema(
+  {
+    // Same constraints as AmperReading.username, which this account owns
+    username: {
+      type: String,
+      required: [true, 'Username is required'],
+      unique: true,
+      trim: true,
+      minlength: [1, 'Username must be at least 1 character'],
+      maxlength: [50, 'Username cannot exceed 50 characters']
+    },
+    email: {
+      type: String,
+      required: false,
+      trim: true,
+      lowercase: true,
+      maxlength: [254, 'Email cannot exceed 254 characters']
+    },
+    passwordHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+    role: {
+      type: String,
+      enum: ['user', 'admin'],
+      default: 'user'
+    },
+    lastLoginAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+userSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+};
+
+userSchema.methods.comparePassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+export default mongoose.model('User', userSchema);
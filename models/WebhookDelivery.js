@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    alert: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Alert',
+      required: true
+    },
+    // Signs the payload with its webhookSecret; unset on deliveries created before secrets
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AlertRule'
+    },
+    url: {
+      type: String,
+      required: true
+    },
+    event: {
+      type: String,
+      enum: ['alert.opened', 'alert.resolved'],
+      required: true
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'delivered', 'failed'],
+      default: 'pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastError: {
+      type: String,
+      default: null
+    },
+    deliveredAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ alert: 1 });
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
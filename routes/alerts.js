@@ -0,0 +1,383 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.js';
+import AlertRule from '../models/AlertRule.js';
+import Product from '../models/Product.js';
+import { authenticate, requireOrganizationAdmin, resolveOrganization } from '../middleware/auth.js';
+import { checkAlertRule, validatePagination } from '../middleware/validation.js';
+
+const router = express.Router();
+
+const adminAccess = [authenticate, resolveOrganization, requireOrganizationAdmin];
+const memberAccess = [authenticate, resolveOrganization];
+
+// A rule of one of the organization's products
+const findRule = async (ruleId, organizationId) => {
+  if (!mongoose.Types.ObjectId.isValid(ruleId)) return null;
+
+  const rule = await AlertRule.findById(ruleId);
+  if (!rule || !(await Product.exists({ _id: rule.product, organization: organizationId }))) {
+    return null;
+  }
+  return rule;
+};
+
+// The organization's products, or the one asked for; null when it is not one of them
+const productFilter = async (productId, organizationId) => {
+  if (productId) {
+    const product = await Product.findForOrganization(productId, organizationId);
+    return product ? product._id : null;
+  }
+  return { $in: await Product.organizationProductIds(organizationId) };
+};
+
+const ruleFields = rule => ({
+  name: rule.name,
+  productId: rule.product.toString(),
+  type: rule.type,
+  threshold: rule.threshold,
+  durationSeconds: rule.durationSeconds,
+  noDataMinutes: rule.noDataMinutes,
+  sensor: rule.sensor,
+  username: rule.username,
+  webhooks: [...rule.webhooks],
+  enabled: rule.enabled
+});
+
+// Product must belong to the organization and a sensor-scoped rule must name one of its sensors
+const checkRuleProduct = async (value, organizationId) => {
+  const product = await Product.findForOrganization(value.product, organizationId);
+  if (!product) {
+    return 'Invalid product ID - product not found';
+  }
+
+  if (value.sensor && !product.sensors.includes(value.sensor)) {
+    return `Sensor '${value.sensor}' not found in product. Available sensors: ${product.sensors.join(', ')}`;
+  }
+
+  return null;
+};
+
+// POST /api/alert-rules - Create an alert rule
+router.post('/alert-rules', adminAccess, async (req, res) => {
+  try {
+    const { error, value } = checkAlertRule(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const productError = await checkRuleProduct(value, req.organization._id);
+    if (productError) {
+      return res.status(400).json({
+        success: false,
+        message: productError
+      });
+    }
+
+    const webhookSecret = AlertRule.generateWebhookSecret();
+    const rule = await AlertRule.create({ ...value, webhookSecret });
+
+    res.status(201).json({
+      success: true,
+      message: 'Alert rule created. Store the webhook secret now, it will not be shown again.',
+      data: { ...rule.toJSON(), webhookSecret }
+    });
+  } catch (error) {
+    console.error('Error creating alert rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/alert-rules - List alert rules, optionally for one product
+router.get('/alert-rules', adminAccess, async (req, res) => {
+  try {
+    const { productId } = req.query;
+
+    if (productId && !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product ID must be a valid MongoDB ObjectId'
+      });
+    }
+
+    const product = await productFilter(productId, req.organization._id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const rules = await AlertRule.find({ product }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: rules,
+      meta: {
+        count: rules.length,
+        requestedAt: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching alert rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /api/alert-rules/:ruleId - Update an alert rule (null clears sensor / username scope)
+router.put('/alert-rules/:ruleId', adminAccess, async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+
+    const rule = await findRule(ruleId, req.organization._id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    const { error, value } = checkAlertRule({ ...ruleFields(rule), ...req.body });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const productError = await checkRuleProduct(value, req.organization._id);
+    if (productError) {
+      return res.status(400).json({
+        success: false,
+        message: productError
+      });
+    }
+
+    rule.set(value);
+    await rule.save();
+
+    // Pending conditions were measured against the old definition
+    await Alert.deleteMany({ rule: rule._id, status: 'pending' });
+
+    res.json({
+      success: true,
+      message: 'Alert rule updated successfully',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error updating alert rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/alert-rules/:ruleId - Delete a rule and close its active alerts
+router.delete('/alert-rules/:ruleId', adminAccess, async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+
+    const rule = await findRule(ruleId, req.organization._id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    await Alert.deleteMany({ rule: rule._id, status: 'pending' });
+    const closed = await Alert.updateMany(
+      { rule: rule._id, active: true },
+      { $set: { status: 'resolved', active: false, resolvedAt: new Date() } }
+    );
+    await rule.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Alert rule deleted successfully',
+      data: {
+        id: rule._id,
+        closedAlerts: closed.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Error deleting alert rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/alert-rules/:ruleId/webhook-secret - Replace the rule's webhook signing secret
+router.post('/alert-rules/:ruleId/webhook-secret', adminAccess, async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+
+    const rule = await findRule(ruleId, req.organization._id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    const webhookSecret = AlertRule.generateWebhookSecret();
+    await AlertRule.updateOne({ _id: rule._id }, { $set: { webhookSecret } });
+
+    res.json({
+      success: true,
+      message: 'Webhook secret replaced. Store it now, it will not be shown again.',
+      data: {
+        id: rule._id,
+        webhookSecret
+      }
+    });
+  } catch (error) {
+    console.error('Error replacing webhook secret:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/alerts - List the organization's alerts; members only see those about their own username
+router.get('/alerts', memberAccess, validatePagination, async (req, res) => {
+  try {
+    const { status, productId, username } = req.query;
+    const { page, limit, skip } = req.pagination;
+
+    if (req.pagination.mode === 'cursor') {
+      return res.status(400).json({
+        success: false,
+        message: 'Alerts are paged with page, not cursor'
+      });
+    }
+
+    const filter = { status: { $in: ['open', 'resolved'] } };
+
+    if (status) {
+      if (!['open', 'resolved'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Status must be open or resolved'
+        });
+      }
+      filter.status = status;
+    }
+
+    if (productId && !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product ID must be a valid MongoDB ObjectId'
+      });
+    }
+
+    filter.product = await productFilter(productId, req.organization._id);
+    if (!filter.product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (req.organizationRole !== 'admin') {
+      filter.username = req.user.username;
+    } else if (username) {
+      filter.username = username;
+    }
+
+    const alerts = await Alert.find(filter)
+      .populate('rule', 'name type threshold durationSeconds noDataMinutes')
+      .sort({ openedAt: -1 })
+      .limit(limit)
+      .skip(skip);
+
+    const total = await Alert.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        alerts,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      },
+      meta: {
+        status: status || null,
+        requestedAt: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/alerts/:alertId/acknowledge - Acknowledge an alert
+router.post('/alerts/:alertId/acknowledge', memberAccess, async (req, res) => {
+  try {
+    const { alertId } = req.params;
+
+    const alert = mongoose.Types.ObjectId.isValid(alertId) ? await Alert.findById(alertId) : null;
+    const owned =
+      alert && (await Product.exists({ _id: alert.product, organization: req.organization._id }));
+    if (!owned || alert.status === 'pending') {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    if (req.organizationRole !== 'admin' && alert.username !== req.user.username) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to acknowledge this alert'
+      });
+    }
+
+    if (!alert.acknowledgedAt) {
+      alert.acknowledgedAt = new Date();
+      alert.acknowledgedBy = req.user.username;
+      await alert.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Alert acknowledged',
+      data: alert
+    });
+  } catch (error) {
+    console.error('Error acknowledging alert:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,187 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Anomaly from '../models/Anomaly.js';
+import Product from '../models/Product.js';
+import { getBaseline } from '../services/anomalies.js';
+import { authenticate, resolveOrganization } from '../middleware/auth.js';
+import { validateProductId, validateTimeWindow } from '../middleware/validation.js';
+
+const router = express.Router();
+
+const MAX_LIMIT = 500;
+
+const memberAccess = [authenticate, resolveOrganization];
+
+// GET /api/anomalies - Flagged anomaly episodes of the organization (members only see their own)
+router.get('/anomalies', memberAccess, validateTimeWindow, async (req, res) => {
+  try {
+    const { productId, sensor, username, direction, limit = 50, page = 1 } = req.query;
+    const { from, to, timeRange } = req.timeWindow;
+
+    const filter = {};
+
+    if (productId) {
+      if (!mongoose.Types.ObjectId.isValid(productId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Product ID must be a valid MongoDB ObjectId'
+        });
+      }
+
+      const product = await Product.findForOrganization(productId, req.organization._id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+      filter.product = product._id;
+    } else {
+      filter.product = { $in: await Product.organizationProductIds(req.organization._id) };
+    }
+
+    if (sensor) {
+      filter.sensor = decodeURIComponent(sensor.replace(/\+/g, ' '));
+    }
+
+    if (direction) {
+      if (!['high', 'low'].includes(direction)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Direction must be high or low'
+        });
+      }
+      filter.direction = direction;
+    }
+
+    if (req.organizationRole !== 'admin') {
+      filter.username = req.user.username;
+    } else if (username) {
+      filter.username = username;
+    }
+
+    // Episodes overlapping the window
+    if (to) filter.startedAt = { $lte: to };
+    if (from) filter.lastAt = { $gte: from };
+
+    const pageSize = Math.min(parseInt(limit) || 50, MAX_LIMIT);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    const anomalies = await Anomaly.find(filter)
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(pageSize)
+      .lean();
+
+    const total = await Anomaly.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        anomalies: anomalies.map(anomaly => ({
+          id: anomaly._id,
+          productId: anomaly.product,
+          sensor: anomaly.sensor,
+          username: anomaly.username,
+          direction: anomaly.direction,
+          startedAt: anomaly.startedAt,
+          lastAt: anomaly.lastAt,
+          readings: anomaly.readings,
+          peakAmper: anomaly.peakAmper,
+          expectedAmper: anomaly.expectedAmper,
+          change: anomaly.change,
+          peakZScore: anomaly.peakZScore,
+          hourOfDay: anomaly.hourOfDay,
+          sensitivity: { zScore: anomaly.zScoreThreshold, minChange: anomaly.minChange }
+        })),
+        pagination: {
+          page: Math.floor(skip / pageSize) + 1,
+          limit: pageSize,
+          total,
+          pages: Math.ceil(total / pageSize)
+        }
+      },
+      meta: {
+        timeRange: timeRange || null,
+        filteredFrom: from ? from.toISOString() : null,
+        filteredTo: to ? to.toISOString() : null,
+        requestedAt: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching anomalies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/products/:productId/baseline - Hourly profile the anomaly detector compares against
+router.get('/products/:productId/baseline', memberAccess, validateProductId, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { sensor } = req.query;
+    const username = req.organizationRole === 'admin' ? req.query.username : req.user.username;
+
+    if (!username) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username parameter is required'
+      });
+    }
+
+    const product = await Product.findForOrganization(productId, req.organization._id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const decodedSensor = sensor ? decodeURIComponent(sensor.replace(/\+/g, ' ')) : undefined;
+    if (decodedSensor && !product.sensors.includes(decodedSensor)) {
+      return res.status(400).json({
+        success: false,
+        message: `Sensor '${decodedSensor}' not found in product. Available sensors: ${product.sensors.join(', ')}`
+      });
+    }
+
+    const baseline = await getBaseline(product, decodedSensor, username);
+    const settings = product.getSensorSettings(decodedSensor);
+
+    res.json({
+      success: true,
+      data: {
+        productId,
+        sensor: decodedSensor || null,
+        username,
+        timezone: baseline.timezone,
+        sensitivity: {
+          enabled: settings.anomalyDetection,
+          zScore: settings.anomalyZScore,
+          minChange: settings.anomalyMinChange
+        },
+        hours: baseline.hours.map((bucket, hour) => ({
+          hour,
+          count: bucket?.count ?? 0,
+          mean: bucket ? Number(bucket.mean.toFixed(3)) : null,
+          std: bucket ? Number(bucket.std.toFixed(3)) : null
+        }))
+      },
+      meta: {
+        requestedAt: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching baseline:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+export default router;
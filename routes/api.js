@@ -2,32 +2,90 @@ import express from 'express';
 import mongoose from 'mongoose';
 import AmperReading from '../models/AmperReading.js';
 import Product from '../models/Product.js';
-import { validateAmperData, validateUsername } from '../middleware/validation.js';
+import { detectCycles } from '../services/cycles.js';
+import { calculateEnergy } from '../services/energy.js';
+import { resolveDeviceId, touchDevice } from '../services/devices.js';
+import { saveReading } from '../services/ingestion.js';
+import readingEvents from '../services/readingEvents.js';
+import { cursorPage, cursorQuery } from '../services/pagination.js';
+import { bandCategories, getUserStats, summarizeReadings } from '../services/rollups.js';
+import {
+  authenticate,
+  authorizeUsername,
+  requireOrganizationAdmin,
+  resolveOrganization
+} from '../middleware/auth.js';
+import {
+  applyDeviceKeyScope,
+  authenticateDevice,
+  enforceDeviceKeyScope
+} from '../middleware/deviceAuth.js';
+import {
+  checkAmperData,
+  checkMeasuredAt,
+  validateAmperData,
+  validateBatchData,
+  validateCyclesQuery,
+  validateEnergyQuery,
+  validatePagination,
+  validateSeriesQuery,
+  validateTimeWindow,
+  validateUsername
+} from '../middleware/validation.js';
 
 const router = express.Router();
 
+// Device API key check for single-reading ingestion
+const deviceAuth = [authenticateDevice, enforceDeviceKeyScope];
+
+// Mobile app access: the signed-in owner of :username, or an admin of the caller's
+// organization. Every read below is limited to products of req.organization.
+const userAccess = [validateUsername, authenticate, resolveOrganization, authorizeUsername];
+const adminAccess = [authenticate, resolveOrganization, requireOrganizationAdmin];
+
+// Same access rules plus timeRange / from / to parsing into req.timeWindow
+const userWindow = [...userAccess, validateTimeWindow];
+const adminWindow = [...adminAccess, validateTimeWindow];
+
+// Reading lists: time window plus cursor or page/limit pagination into req.pagination
+const userReadings = [...userWindow, validatePagination];
+const adminReadings = [...adminWindow, validatePagination];
+
+// Energy and cycles are computed from raw readings, so they leave out what retention archived.
+// When the window reaches back before the archived boundary the response says so.
+const archivedBefore = (product, from) => {
+  const cutoff = product.retention?.rawArchivedBefore;
+  return cutoff && (!from || from < cutoff) ? cutoff.toISOString() : null;
+};
+
 // POST /api/data - ESP32'den amper verisi al
-router.post('/data', validateAmperData, async (req, res) => {
+router.post('/data', deviceAuth, validateAmperData, async (req, res) => {
   try {
-    const { username, amper, productId,sensor } = req.body;
-
-    // Validate that product exists
-    const product = await Product.findById(productId);
-    if (!product) {
-      return res.status(400).json({
+    const { error, status, value } = await saveReading(req.body);
+    if (error) {
+      return res.status(status || 400).json({
         success: false,
-        message: 'Invalid product ID - product not found'
+        message: error
       });
     }
 
-    const newReading = new AmperReading({
-      username,
-      amper,
-      product: productId,
-      sensor
+    const { reading: newReading, product, replayed } = value;
+
+    touchDevice({
+      deviceId: resolveDeviceId(req.body.deviceId, req.deviceKey),
+      productId: product._id,
+      sensors: [newReading.sensor],
+      usernames: [newReading.username],
+      firmwareVersion: req.body.firmwareVersion,
+      bootId: req.body.bootId,
+      ip: req.ip,
+      kind: 'reading'
     });
 
-    await newReading.save();
+    // A retried delivery gets the original response again; the header lets clients tell
+    if (replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
 
     res.status(201).json({
       success: true,
@@ -41,8 +99,14 @@ router.post('/data', validateAmperData, async (req, res) => {
           name: product.name,
           sensors: product.sensors
         },
-        timestamp: newReading.createdAt
-      }
+        timestamp: newReading.createdAt,
+        measuredAt: newReading.measuredAt,
+        clockSkewMs: newReading.clockSkewMs,
+        clockSkewed: newReading.clockSkewed
+      },
+      ...(newReading.clockSkewed && {
+        warning: 'Device clock differs significantly from server time'
+      })
     });
   } catch (error) {
     console.error('Error saving amper reading:', error);
@@ -54,12 +118,189 @@ router.post('/data', validateAmperData, async (req, res) => {
   }
 });
 
+// POST /api/data/batch - ESP32'nin tamponladığı okumaları toplu al
+router.post('/data/batch', authenticateDevice, validateBatchData, async (req, res) => {
+  try {
+    const { readings, sentAt } = req.body;
+    const now = new Date();
+
+    // Validate every entry up front and collect the products we need to look up
+    const results = new Array(readings.length);
+    const candidates = [];
+
+    readings.forEach((rawItem, index) => {
+      // Readings outside the device key's product/sensor are rejected individually
+      let item = rawItem;
+      if (req.deviceKey) {
+        const scoped = applyDeviceKeyScope(req.deviceKey, rawItem || {});
+        if (scoped.error) {
+          results[index] = { index, status: 'rejected', message: scoped.error };
+          return;
+        }
+        item = scoped.value;
+      }
+
+      const { error, value } = checkAmperData(item);
+      if (error) {
+        results[index] = { index, status: 'rejected', message: error };
+        return;
+      }
+
+      const measured = checkMeasuredAt(item.measuredAt, { now, sentAt, buffered: true });
+      if (measured.error) {
+        results[index] = { index, status: 'rejected', message: measured.error };
+        return;
+      }
+
+      candidates.push({
+        index,
+        ...value,
+        measuredAt: measured.value,
+        clockSkewMs: measured.skewMs,
+        clockSkewed: Boolean(measured.skewed)
+      });
+    });
+
+    // Validate that products exist with a single query
+    const productIds = [...new Set(candidates.map(candidate => candidate.productId))];
+    const products = await Product.find({ _id: { $in: productIds } });
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    const docs = [];
+    const docIndexes = [];
+    const registeredSensors = new Map();
+
+    candidates.forEach(candidate => {
+      const product = productsById.get(candidate.productId);
+      if (!product) {
+        results[candidate.index] = {
+          index: candidate.index,
+          status: 'rejected',
+          message: 'Invalid product ID - product not found'
+        };
+        return;
+      }
+
+      const check = product.checkReading(candidate);
+      if (check.error) {
+        results[candidate.index] = {
+          index: candidate.index,
+          status: 'rejected',
+          message: check.error
+        };
+        return;
+      }
+
+      if (check.value.registerSensor) {
+        product.sensors.push(candidate.sensor);
+        if (!registeredSensors.has(candidate.productId)) {
+          registeredSensors.set(candidate.productId, []);
+        }
+        registeredSensors.get(candidate.productId).push(candidate.sensor);
+      }
+
+      const doc = new AmperReading({
+        username: candidate.username,
+        amper: candidate.amper,
+        product: candidate.productId,
+        sensor: candidate.sensor,
+        measuredAt: candidate.measuredAt || now,
+        clockSkewMs: candidate.clockSkewMs ?? undefined,
+        clockSkewed: candidate.clockSkewed
+      });
+
+      const validationError = doc.validateSync();
+      if (validationError) {
+        results[candidate.index] = {
+          index: candidate.index,
+          status: 'rejected',
+          message: Object.values(validationError.errors)[0].message
+        };
+        return;
+      }
+
+      docs.push(doc);
+      docIndexes.push(candidate.index);
+    });
+
+    for (const [productId, sensors] of registeredSensors) {
+      await Product.updateOne({ _id: productId }, { $addToSet: { sensors: { $each: sensors } } });
+    }
+
+    const inserted = docs.length > 0 ? await AmperReading.insertMany(docs) : [];
+
+    // Notify subscribers once per product
+    const insertedByProduct = new Map();
+    inserted.forEach(reading => {
+      const productId = reading.product.toString();
+      if (!insertedByProduct.has(productId)) {
+        insertedByProduct.set(productId, []);
+      }
+      insertedByProduct.get(productId).push(reading);
+    });
+    insertedByProduct.forEach((productReadings, productId) => {
+      readingEvents.emit('saved', {
+        product: productsById.get(productId),
+        readings: productReadings
+      });
+    });
+
+    inserted.forEach((reading, i) => {
+      const index = docIndexes[i];
+      results[index] = {
+        index,
+        status: 'accepted',
+        id: reading._id,
+        ...(reading.clockSkewed && { clockSkewed: true })
+      };
+    });
+
+    // Registry entry under the key's product, or the product of the first accepted reading
+    const deviceProductId = req.deviceKey ? req.deviceKey.product : inserted[0]?.product;
+    if (deviceProductId) {
+      touchDevice({
+        deviceId: resolveDeviceId(req.body.deviceId, req.deviceKey),
+        productId: deviceProductId,
+        sensors: [...new Set(inserted.map(reading => reading.sensor))],
+        usernames: [...new Set(inserted.map(reading => reading.username))],
+        firmwareVersion: req.body.firmwareVersion,
+        ip: req.ip,
+        kind: inserted.length > 0 ? 'reading' : 'contact'
+      });
+    }
+
+    const accepted = inserted.length;
+    const rejected = readings.length - accepted;
+
+    res.status(accepted > 0 ? 201 : 400).json({
+      success: accepted > 0,
+      message:
+        accepted > 0
+          ? `${accepted} of ${readings.length} amper readings saved successfully`
+          : 'No amper readings were saved',
+      data: {
+        accepted,
+        rejected,
+        results
+      }
+    });
+  } catch (error) {
+    console.error('Error saving amper reading batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // GET /api/user/:username/stats - Kullanıcı istatistikleri
-router.get('/user/:username/stats', validateUsername, async (req, res) => {
+router.get('/user/:username/stats', userAccess, async (req, res) => {
   try {
     const { username } = req.params;
 
-    const stats = await AmperReading.getUserStats(username);
+    const productIds = await Product.organizationProductIds(req.organization._id);
+    const stats = await getUserStats(username, { product: { $in: productIds } });
 
     res.json({
       success: true,
@@ -76,13 +317,16 @@ router.get('/user/:username/stats', validateUsername, async (req, res) => {
 });
 
 // GET /api/user/:username/recent - Son 24 saat verisi
-router.get('/user/:username/recent', validateUsername, async (req, res) => {
+router.get('/user/:username/recent', userAccess, async (req, res) => {
   try {
     const { username } = req.params;
 
     console.log(`📱 Recent data request for user: ${username}`);
 
-    const recentReadings = await AmperReading.getRecentReadings(username);
+    const productIds = await Product.organizationProductIds(req.organization._id);
+    const recentReadings = await AmperReading.getRecentReadings(username, {
+      product: { $in: productIds }
+    });
 
     console.log(`✅ Sending ${recentReadings.length} recent readings to mobile app`);
 
@@ -115,31 +359,60 @@ router.get('/health', (req, res) => {
   });
 });
 
+// One page of readings per req.pagination: cursor pagination on (createdAt, _id), or the
+// offset form (page / limit) in measured time order
+const findReadingsPage = async (filter, select, pagination) => {
+  const { limit } = pagination;
+
+  if (pagination.mode === 'cursor') {
+    const { filter: cursorFilter, sort } = cursorQuery(pagination.cursor);
+    const query = AmperReading.find(pagination.cursor ? { $and: [filter, cursorFilter] } : filter)
+      .sort(sort)
+      .limit(limit + 1);
+    if (select) query.select(select);
+
+    const { items, nextCursor, prevCursor } = cursorPage(await query, pagination);
+    return { readings: items, pagination: { limit, nextCursor, prevCursor } };
+  }
+
+  const { page, skip } = pagination;
+  const query = AmperReading.find(filter)
+    .sort(AmperReading.MEASURED_TIME_SORT)
+    .limit(limit)
+    .skip(skip);
+  if (select) query.select(select);
+
+  const readings = await query;
+  const total = await AmperReading.countDocuments(filter);
+
+  return {
+    readings,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
 // GET /api/user/:username/all
-router.get('/user/:username/all', validateUsername, async (req, res) => {
+router.get('/user/:username/all', userAccess, validatePagination, async (req, res) => {
   try {
     const { username } = req.params;
-    const { limit = 50, page = 1 } = req.query;
-
-    const skip = (page - 1) * limit;
-
-    const readings = await AmperReading.find({ username })
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(skip);
 
-    const total = await AmperReading.countDocuments({ username });
+    const productIds = await Product.organizationProductIds(req.organization._id);
+    const { readings, pagination } = await findReadingsPage(
+      { username, product: { $in: productIds } },
+      null,
+      req.pagination
+    );
 
     res.json({
       success: true,
       data: {
         readings,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        pagination
       }
     });
   } catch (error) {
@@ -152,14 +425,74 @@ router.get('/user/:username/all', validateUsername, async (req, res) => {
   }
 });
 
-// GET /api/products - Get all products
-router.get('/products', async (req, res) => {
+// Per product: reading count, distinct users and last reading time over all time (daily
+// rollups, so archived readings count too) and the last 24 hours' average
+const summarizeProducts = async (productIds, filter = {}) => {
+  const match = { ...filter, product: { $in: productIds } };
+  const [totals, recent] = await Promise.all([
+    summarizeReadings({ match, groupBy: ['product', 'username'] }),
+    summarizeReadings({
+      match,
+      from: new Date(Date.now() - 24 * 60 * 60 * 1000),
+      groupBy: ['product']
+    })
+  ]);
+
+  const summaries = new Map(
+    productIds.map(id => [
+      id.toString(),
+      {
+        readingCount: 0,
+        userCount: 0,
+        lastReadingAt: null,
+        last24h: { readingCount: 0, averageAmper: null }
+      }
+    ])
+  );
+
+  totals.forEach(row => {
+    const summary = summaries.get(row.product.toString());
+    summary.readingCount += row.count;
+    summary.userCount++;
+    if (!summary.lastReadingAt || row.lastReadingAt > summary.lastReadingAt) {
+      summary.lastReadingAt = row.lastReadingAt;
+    }
+  });
+
+  recent.forEach(row => {
+    summaries.get(row.product.toString()).last24h = {
+      readingCount: row.count,
+      averageAmper: Number(row.avg.toFixed(2))
+    };
+  });
+
+  return summaries;
+};
+
+// GET /api/products - The organization's products with reading summaries
+router.get('/products', authenticate, resolveOrganization, async (req, res) => {
   try {
-    const products = await Product.find({}).populate('amperreadings').sort({ createdAt: -1 });
+    const products = await Product.find({ organization: req.organization._id })
+      .select('name sensors createdAt updatedAt')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    // Members only see the numbers of their own readings
+    const summaries = await summarizeProducts(
+      products.map(product => product._id),
+      req.organizationRole === 'admin' ? {} : { username: req.user.username }
+    );
 
     res.json({
       success: true,
-      data: products,
+      data: products.map(product => ({
+        id: product._id,
+        name: product.name,
+        sensors: product.sensors,
+        summary: summaries.get(product._id.toString()),
+        createdAt: product.createdAt,
+        updatedAt: product.updatedAt
+      })),
       meta: {
         count: products.length,
         requestedAt: new Date().toISOString()
@@ -175,12 +508,16 @@ router.get('/products', async (req, res) => {
   }
 });
 
-// GET /api/products/:productId/users - Get usernames grouped by product
-router.get('/products/:productId/users', async (req, res) => {
+// GET /api/products/:productId/readings - All readings of a product, paginated (newest first)
+router.get('/products/:productId/readings', adminReadings, async (req, res) => {
   try {
     const { productId } = req.params;
+    const { sensor, username } = req.query;
+
+    // Decode URL-encoded sensor parameter (convert + to spaces)
+    const decodedSensor = sensor ? decodeURIComponent(sensor.replace(/\+/g, ' ')) : sensor;
 
-    const product = await Product.findById(productId);
+    const product = await Product.findForOrganization(productId, req.organization._id);
 
     if (!product) {
       return res.status(404).json({
@@ -189,50 +526,123 @@ router.get('/products/:productId/users', async (req, res) => {
       });
     }
 
-    // Get all amper readings for this product using the new relationship
-    const readings = await AmperReading.find({ product: productId })
-      .select('username amper createdAt')
-      .sort({ createdAt: -1 })
-      .lean();
+    // If sensor is provided, validate it exists in the product's sensors array
+    if (decodedSensor && !product.sensors.includes(decodedSensor)) {
+      return res.status(400).json({
+        success: false,
+        message: `Sensor '${decodedSensor}' not found in product. Available sensors: ${product.sensors.join(', ')}`
+      });
+    }
 
-    // Group readings by username and get stats for each user
-    const userGroups = {};
+    const { from, to, timeRange } = req.timeWindow;
 
-    readings.forEach(reading => {
-      const username = reading.username;
-      if (!userGroups[username]) {
-        userGroups[username] = {
-          username: username,
-          totalReadings: 0,
-          latestReading: null,
-          averageAmper: 0,
-          readings: []
-        };
-      }
+    const filter = { product: productId, ...AmperReading.measuredTimeFilter(from, to) };
+    if (decodedSensor) {
+      filter.sensor = decodedSensor;
+    }
+    if (typeof username === 'string' && username) {
+      filter.username = username;
+    }
 
-      userGroups[username].totalReadings++;
-      userGroups[username].readings.push(reading);
+    const { readings, pagination } = await findReadingsPage(
+      filter,
+      'username amper sensor measuredAt createdAt',
+      req.pagination
+    );
 
-      if (
-        !userGroups[username].latestReading ||
-        reading.createdAt > userGroups[username].latestReading.createdAt
-      ) {
-        userGroups[username].latestReading = reading;
+    res.json({
+      success: true,
+      data: {
+        product: {
+          id: product._id,
+          name: product.name,
+          sensors: product.sensors
+        },
+        readings,
+        pagination
+      },
+      meta: {
+        productId,
+        sensor: decodedSensor || null,
+        username: filter.username || null,
+        timeRange,
+        filteredFrom: from ? from.toISOString() : null,
+        filteredTo: to ? to.toISOString() : null,
+        requestedAt: new Date().toISOString()
       }
     });
+  } catch (error) {
+    console.error('Error fetching product readings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
 
-    // Calculate averages
-    Object.keys(userGroups).forEach(username => {
-      const userReadings = userGroups[username].readings;
-      const sum = userReadings.reduce((acc, reading) => acc + reading.amper, 0);
-      userGroups[username].averageAmper =
-        userReadings.length > 0 ? Number((sum / userReadings.length).toFixed(2)) : 0;
+// Reading count / average per user from the rollups (most recently active first), one page of
+// `limit` users from `skip`. Each comes with their newest reading in the window (null once
+// archived), looked up in one query at the time the rollups give as their last reading.
+const summarizeUsers = async (match, { from, to, skip, limit, retention }) => {
+  const rows = await summarizeReadings({ match, from, to, groupBy: ['username'], retention });
+  rows.sort((a, b) => b.lastReadingAt - a.lastReadingAt);
+  const selected = rows.slice(skip, skip + limit);
+
+  const latest = new Map();
+  if (selected.length > 0) {
+    const readings = await AmperReading.find({
+      ...match,
+      $or: selected.map(row => ({
+        username: row.username,
+        ...AmperReading.measuredTimeFilter(row.lastReadingAt, row.lastReadingAt)
+      }))
+    })
+      .select('username amper measuredAt createdAt')
+      .sort(AmperReading.MEASURED_TIME_SORT)
+      .lean();
 
-      // Remove readings array from response (we only need stats here)
-      delete userGroups[username].readings;
+    readings.forEach(reading => {
+      if (!latest.has(reading.username)) latest.set(reading.username, reading);
     });
+  }
+
+  const users = selected.map(row => ({
+    username: row.username,
+    totalReadings: row.count,
+    latestReading: latest.get(row.username) || null,
+    averageAmper: Number(row.avg.toFixed(2))
+  }));
+
+  return { users, total: rows.length };
+};
+
+// GET /api/products/:productId/users - Get usernames grouped by product, paginated
+router.get('/products/:productId/users', adminAccess, validatePagination, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { page, limit, skip } = req.pagination;
+
+    if (req.pagination.mode === 'cursor') {
+      return res.status(400).json({
+        success: false,
+        message: 'Users are paged with page, not cursor'
+      });
+    }
+
+    const product = await Product.findForOrganization(productId, req.organization._id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
 
-    const users = Object.values(userGroups);
+    const { users, total } = await summarizeUsers(
+      { product: productId },
+      { skip, limit, retention: product.retention }
+    );
 
     res.json({
       success: true,
@@ -242,11 +652,17 @@ router.get('/products/:productId/users', async (req, res) => {
           name: product.name,
           sensors: product.sensors
         },
-        users: users
+        users: users,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
       },
       meta: {
         productId: productId,
-        totalUsers: users.length,
+        totalUsers: total,
         requestedAt: new Date().toISOString()
       }
     });
@@ -260,37 +676,12 @@ router.get('/products/:productId/users', async (req, res) => {
   }
 });
 
-// Helper function to parse timeRange parameter
-const parseTimeRange = timeRange => {
-  if (!timeRange) return null;
-
-  const match = timeRange.match(/^(\d+)([hd])$/);
-  if (!match) return null;
-
-  const value = parseInt(match[1]);
-  const unit = match[2];
-
-  // Validate allowed values
-  const allowedHours = [1, 6, 12, 24];
-  const allowedDays = [7, 30];
-
-  if (unit === 'h' && !allowedHours.includes(value)) return null;
-  if (unit === 'd' && !allowedDays.includes(value)) return null;
-
-  const now = new Date();
-  const hoursToSubtract = unit === 'h' ? value : value * 24;
-  const startDate = new Date(now.getTime() - hoursToSubtract * 60 * 60 * 1000);
-
-  return startDate;
-};
-
 // GET /api/products/:productId/users/:username - Get amperreadings for specific user in product
-router.get('/products/:productId/users/:username', async (req, res) => {
+router.get('/products/:productId/users/:username', userReadings, async (req, res) => {
   try {
     const { productId, username } = req.params;
-    const { limit = 50, page = 1, timeRange } = req.query;
 
-    const product = await Product.findById(productId);
+    const product = await Product.findForOrganization(productId, req.organization._id);
 
     if (!product) {
       return res.status(404).json({
@@ -299,10 +690,7 @@ router.get('/products/:productId/users/:username', async (req, res) => {
       });
     }
 
-    const skip = (page - 1) * limit;
-
-    // Parse timeRange if provided
-    const startDate = parseTimeRange(timeRange);
+    const { from, to, timeRange } = req.timeWindow;
 
     // Build query filter using the new relationship
     const baseFilter = {
@@ -310,19 +698,15 @@ router.get('/products/:productId/users/:username', async (req, res) => {
       username: username
     };
 
-    // Add time filter if timeRange is provided // TODO: Uncomment this
-    // if (startDate) {
-    //   baseFilter.createdAt = { $gte: startDate };
-    // }
+    // Add time filter on measured time if a window is requested
+    Object.assign(baseFilter, AmperReading.measuredTimeFilter(from, to));
 
     // Get amper readings for this user in this product
-    const readings = await AmperReading.find(baseFilter)
-      .select('username amper sensor createdAt updatedAt')
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(skip);
-
-    const total = await AmperReading.countDocuments(baseFilter);
+    const { readings, pagination } = await findReadingsPage(
+      baseFilter,
+      'username amper sensor measuredAt createdAt updatedAt',
+      req.pagination
+    );
 
     res.json({
       success: true,
@@ -334,18 +718,14 @@ router.get('/products/:productId/users/:username', async (req, res) => {
         },
         username: username,
         readings: readings,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        pagination
       },
       meta: {
         productId: productId,
         username: username,
-        timeRange: timeRange || null,
-        filteredFrom: startDate ? startDate.toISOString() : null,
+        timeRange,
+        filteredFrom: from ? from.toISOString() : null,
+        filteredTo: to ? to.toISOString() : null,
         requestedAt: new Date().toISOString()
       }
     });
@@ -360,15 +740,15 @@ router.get('/products/:productId/users/:username', async (req, res) => {
 });
 
 // GET /api/products/:productId/users/:username/readings - Get amperreadings for specific user in product with sensor filter
-router.get('/products/:productId/users/:username/readings', async (req, res) => {
+router.get('/products/:productId/users/:username/readings', userReadings, async (req, res) => {
   try {
     const { productId, username } = req.params;
-    const { limit = 50, page = 1, timeRange, sensor } = req.query;
+    const { sensor } = req.query;
 
     // Decode URL-encoded sensor parameter (convert + to spaces)
     const decodedSensor = sensor ? decodeURIComponent(sensor.replace(/\+/g, ' ')) : sensor;
 
-    const product = await Product.findById(productId);
+    const product = await Product.findForOrganization(productId, req.organization._id);
 
     if (!product) {
       return res.status(404).json({
@@ -385,10 +765,7 @@ router.get('/products/:productId/users/:username/readings', async (req, res) =>
       });
     }
 
-    const skip = (page - 1) * limit;
-
-    // Parse timeRange if provided
-    const startDate = parseTimeRange(timeRange);
+    const { from, to, timeRange } = req.timeWindow;
 
     // Build query filter using the new relationship
     const baseFilter = {
@@ -401,19 +778,15 @@ router.get('/products/:productId/users/:username/readings', async (req, res) =>
       baseFilter.sensor = decodedSensor;
     }
 
-    // Add time filter if timeRange is provided
-    // if (startDate) {
-    //   baseFilter.createdAt = { $gte: startDate };
-    // }
+    // Add time filter on measured time if a window is requested
+    Object.assign(baseFilter, AmperReading.measuredTimeFilter(from, to));
 
     // Get amper readings for this user in this product (optionally filtered by sensor)
-    const readings = await AmperReading.find(baseFilter)
-      .select('username amper sensor createdAt updatedAt')
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(skip);
-
-    const total = await AmperReading.countDocuments(baseFilter);
+    const { readings, pagination } = await findReadingsPage(
+      baseFilter,
+      'username amper sensor measuredAt createdAt updatedAt',
+      req.pagination
+    );
 
     res.json({
       success: true,
@@ -426,19 +799,15 @@ router.get('/products/:productId/users/:username/readings', async (req, res) =>
         username: username,
         sensor: decodedSensor || null,
         readings: readings,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        pagination
       },
       meta: {
         productId: productId,
         username: username,
         sensor: decodedSensor || null,
-        timeRange: timeRange || null,
-        filteredFrom: startDate ? startDate.toISOString() : null,
+        timeRange,
+        filteredFrom: from ? from.toISOString() : null,
+        filteredTo: to ? to.toISOString() : null,
         requestedAt: new Date().toISOString()
       }
     });
@@ -453,10 +822,10 @@ router.get('/products/:productId/users/:username/readings', async (req, res) =>
 });
 
 // GET /api/products/:productId/sensor - Get users grouped by sensor for a product with pagination
-router.get('/products/:productId/sensor', async (req, res) => {
+router.get('/products/:productId/sensor', adminWindow, async (req, res) => {
   try {
     const { productId } = req.params;
-    const { sensor, limit = 50, page = 1, timeRange } = req.query;
+    const { sensor, limit = 50, page = 1 } = req.query;
 
     // Decode URL-encoded sensor parameter (convert + to spaces)
     const decodedSensor = sensor ? decodeURIComponent(sensor.replace(/\+/g, ' ')) : sensor;
@@ -468,7 +837,7 @@ router.get('/products/:productId/sensor', async (req, res) => {
       });
     }
 
-    const product = await Product.findById(productId);
+    const product = await Product.findForOrganization(productId, req.organization._id);
 
     if (!product) {
       return res.status(404).json({
@@ -485,71 +854,13 @@ router.get('/products/:productId/sensor', async (req, res) => {
       });
     }
 
-    // Parse timeRange if provided
-    const startDate = parseTimeRange(timeRange);
-
-    // Build query filter
-    const baseFilter = {
-      product: productId,
-      sensor: decodedSensor
-    };
-
-    // Add time filter if timeRange is provided
-    // if (startDate) {
-    //   baseFilter.createdAt = { $gte: startDate };
-    // }
-
-    // Get all amper readings for this product and sensor
-    const readings = await AmperReading.find(baseFilter)
-      .select('username amper createdAt')
-      .sort({ createdAt: -1 })
-      .lean();
+    const { from, to, timeRange } = req.timeWindow;
 
-    // Group readings by username and get stats for each user
-    const userGroups = {};
-
-    readings.forEach(reading => {
-      const username = reading.username;
-      if (!userGroups[username]) {
-        userGroups[username] = {
-          username: username,
-          totalReadings: 0,
-          latestReading: null,
-          averageAmper: 0,
-          readings: []
-        };
-      }
-
-      userGroups[username].totalReadings++;
-      userGroups[username].readings.push(reading);
-
-      if (
-        !userGroups[username].latestReading ||
-        reading.createdAt > userGroups[username].latestReading.createdAt
-      ) {
-        userGroups[username].latestReading = reading;
-      }
-    });
-
-    // Calculate averages and prepare users array
-    const allUsers = Object.keys(userGroups).map(username => {
-      const userReadings = userGroups[username].readings;
-      const sum = userReadings.reduce((acc, reading) => acc + reading.amper, 0);
-      const averageAmper =
-        userReadings.length > 0 ? Number((sum / userReadings.length).toFixed(2)) : 0;
-
-      return {
-        username: username,
-        totalReadings: userGroups[username].totalReadings,
-        latestReading: userGroups[username].latestReading,
-        averageAmper: averageAmper
-      };
-    });
-
-    // Apply pagination
     const skip = (page - 1) * limit;
-    const paginatedUsers = allUsers.slice(skip, skip + parseInt(limit));
-    const total = allUsers.length;
+    const { users: paginatedUsers, total } = await summarizeUsers(
+      { product: productId, sensor: decodedSensor },
+      { from, to, skip, limit: parseInt(limit), retention: product.retention }
+    );
 
     res.json({
       success: true,
@@ -571,8 +882,9 @@ router.get('/products/:productId/sensor', async (req, res) => {
       meta: {
         productId: productId,
         sensor: decodedSensor,
-        timeRange: timeRange || null,
-        filteredFrom: startDate ? startDate.toISOString() : null,
+        timeRange,
+        filteredFrom: from ? from.toISOString() : null,
+        filteredTo: to ? to.toISOString() : null,
         totalUsers: total,
         requestedAt: new Date().toISOString()
       }
@@ -588,15 +900,15 @@ router.get('/products/:productId/sensor', async (req, res) => {
 });
 
 // GET /api/products/:productId/users/:username/readings/stats - Get statistics for filtered amper readings
-router.get('/products/:productId/users/:username/readings/stats', async (req, res) => {
+router.get('/products/:productId/users/:username/readings/stats', userWindow, async (req, res) => {
   try {
     const { productId, username } = req.params;
-    const { timeRange, sensor } = req.query;
+    const { sensor } = req.query;
 
     // Decode URL-encoded sensor parameter (convert + to spaces)
     const decodedSensor = sensor ? decodeURIComponent(sensor.replace(/\+/g, ' ')) : sensor;
 
-    const product = await Product.findById(productId);
+    const product = await Product.findForOrganization(productId, req.organization._id);
 
     if (!product) {
       return res.status(404).json({
@@ -613,75 +925,207 @@ router.get('/products/:productId/users/:username/readings/stats', async (req, re
       });
     }
 
-    // Parse timeRange if provided
-    const startDate = parseTimeRange(timeRange);
+    const { from, to, timeRange } = req.timeWindow;
 
-    // Build query filter using the new relationship
-    const baseFilter = {
-      product: productId,
-      username: username
-    };
-
-    // Add sensor filter if provided
+    const match = { product: new mongoose.Types.ObjectId(productId), username: username };
     if (decodedSensor) {
-      baseFilter.sensor = decodedSensor;
+      match.sensor = decodedSensor;
     }
 
-    // Add time filter if timeRange is provided
-    // if (startDate) {
-    //   baseFilter.createdAt = { $gte: startDate };
-    // }
-
-    console.log('🔍 Statistics baseFilter:', JSON.stringify(baseFilter, null, 2));
-    
-    // Convert productId to ObjectId for aggregation
-    const aggregationFilter = {
-      ...baseFilter,
-      product: new mongoose.Types.ObjectId(productId)
-    };
-    console.log('🔍 Aggregation filter:', JSON.stringify(aggregationFilter, null, 2));
-    
-    // Debug: Test if any documents exist with this filter using find()
-    const testCount = await AmperReading.countDocuments(baseFilter);
-    console.log('📊 Test count with find():', testCount);
-
-    // Get aggregated statistics for all filtered data
-    const stats = await AmperReading.aggregate([
-      { $match: aggregationFilter },
-      {
-        $group: {
-          _id: null,
-          totalReadings: { $sum: 1 },
-          minAmper: { $min: '$amper' },
-          maxAmper: { $max: '$amper' },
-          avgAmper: { $avg: '$amper' },
-          offCount: {
-            $sum: {
-              $cond: [{ $eq: ['$amper', 0] }, 1, 0]
-            }
-          },
-          lowCount: {
-            $sum: {
-              $cond: [{ $and: [{ $gt: ['$amper', 0] }, { $lt: ['$amper', 0.5] }] }, 1, 0]
-            }
-          },
-          midCount: {
-            $sum: {
-              $cond: [{ $and: [{ $gte: ['$amper', 0.5] }, { $lt: ['$amper', 1.0] }] }, 1, 0]
-            }
+    // Everything comes from the rollups, band counts included, so archived periods count too
+    const rows = await summarizeReadings({
+      match,
+      from,
+      to,
+      groupBy: ['sensor'],
+      retention: product.retention,
+      products: [product]
+    });
+    const { categories, uncategorized } = bandCategories(rows, product, decodedSensor);
+
+    const summary = rows.length > 0 ? { count: 0, sum: 0, min: Infinity, max: -Infinity } : null;
+    rows.forEach(row => {
+      summary.count += row.count;
+      summary.sum += row.sum;
+      summary.min = Math.min(summary.min, row.min);
+      summary.max = Math.max(summary.max, row.max);
+    });
+    if (summary) summary.avg = summary.sum / summary.count;
+
+    res.json({
+      success: true,
+      data: {
+        product: {
+          id: product._id,
+          name: product.name,
+          sensors: product.sensors
+        },
+        username: username,
+        sensor: decodedSensor || null,
+        statistics: {
+          totalReadings: summary ? summary.count : 0,
+          minAmper: summary ? Number(summary.min.toFixed(2)) : 0,
+          maxAmper: summary ? Number(summary.max.toFixed(2)) : 0,
+          avgAmper: summary ? Number(summary.avg.toFixed(2)) : 0,
+          categories,
+          uncategorized
+        },
+        consumptionBands: decodedSensor
+          ? product.getSensorSettings(decodedSensor).consumptionBands
+          : product.getConsumptionBands()
+      },
+      meta: {
+        productId: productId,
+        username: username,
+        sensor: decodedSensor || null,
+        timeRange,
+        filteredFrom: from ? from.toISOString() : null,
+        filteredTo: to ? to.toISOString() : null,
+        requestedAt: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching amper reading statistics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/products/:productId/users/:username/readings/series - Time-bucketed min/avg/max for charts
+router.get(
+  '/products/:productId/users/:username/readings/series',
+  userWindow,
+  validateSeriesQuery,
+  async (req, res) => {
+    try {
+      const { productId, username } = req.params;
+      const { sensor } = req.query;
+      const { bucket, bucketMs, from, to } = req.series;
+
+      // Decode URL-encoded sensor parameter (convert + to spaces)
+      const decodedSensor = sensor ? decodeURIComponent(sensor.replace(/\+/g, ' ')) : sensor;
+
+      const product = await Product.findForOrganization(productId, req.organization._id);
+
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      // If sensor is provided, validate it exists in the product's sensors array
+      if (decodedSensor && !product.sensors.includes(decodedSensor)) {
+        return res.status(400).json({
+          success: false,
+          message: `Sensor '${decodedSensor}' not found in product. Available sensors: ${product.sensors.join(', ')}`
+        });
+      }
+
+      const match = { product: productId, username: username };
+      if (decodedSensor) {
+        match.sensor = decodedSensor;
+      }
+
+      // 1h / 1d buckets are served from the rollups, smaller ones from raw readings
+      const buckets = await summarizeReadings({
+        match,
+        from,
+        to,
+        bucketMs,
+        retention: product.retention
+      });
+      const points = buckets.map(point => ({
+        timestamp: new Date(point.bucket).toISOString(),
+        min: Number(point.min.toFixed(2)),
+        avg: Number(point.avg.toFixed(2)),
+        max: Number(point.max.toFixed(2)),
+        count: point.count
+      }));
+
+      res.json({
+        success: true,
+        data: {
+          product: {
+            id: product._id,
+            name: product.name,
+            sensors: product.sensors
           },
-          highCount: {
-            $sum: {
-              $cond: [{ $gte: ['$amper', 1.0] }, 1, 0]
-            }
-          }
+          username: username,
+          sensor: decodedSensor || null,
+          bucket: bucket,
+          points: points
+        },
+        meta: {
+          productId: productId,
+          username: username,
+          sensor: decodedSensor || null,
+          bucket: bucket,
+          count: points.length,
+          timeRange: req.timeWindow.timeRange,
+          filteredFrom: from.toISOString(),
+          filteredTo: to.toISOString(),
+          requestedAt: new Date().toISOString()
         }
+      });
+    } catch (error) {
+      console.error('Error fetching amper reading series:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/products/:productId/users/:username/energy - Energy (kWh) and cost for a user
+router.get(
+  '/products/:productId/users/:username/energy',
+  userWindow,
+  validateEnergyQuery,
+  async (req, res) => {
+    try {
+      const { productId, username } = req.params;
+      const { sensor } = req.query;
+      const { groupBy, maxGapSeconds, from, to } = req.energy;
+
+      // Decode URL-encoded sensor parameter (convert + to spaces)
+      const decodedSensor = sensor ? decodeURIComponent(sensor.replace(/\+/g, ' ')) : sensor;
+
+      const product = await Product.findForOrganization(productId, req.organization._id);
+
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
       }
-    ]);
 
-    // Handle case when no data is found
-    if (stats.length === 0) {
-      return res.json({
+      // If sensor is provided, validate it exists in the product's sensors array
+      if (decodedSensor && !product.sensors.includes(decodedSensor)) {
+        return res.status(400).json({
+          success: false,
+          message: `Sensor '${decodedSensor}' not found in product. Available sensors: ${product.sensors.join(', ')}`
+        });
+      }
+
+      const match = {
+        product: new mongoose.Types.ObjectId(productId),
+        username: username,
+        ...AmperReading.measuredTimeFilter(from, to)
+      };
+
+      if (decodedSensor) {
+        match.sensor = decodedSensor;
+      }
+
+      const energy = await calculateEnergy({ product, match, groupBy, maxGapSeconds });
+
+      res.json({
         success: true,
         data: {
           product: {
@@ -691,31 +1135,160 @@ router.get('/products/:productId/users/:username/readings/stats', async (req, re
           },
           username: username,
           sensor: decodedSensor || null,
-          statistics: {
-            totalReadings: 0,
-            minAmper: 0,
-            maxAmper: 0,
-            avgAmper: 0,
-            categories: {
-              off: 0,
-              low: 0,
-              mid: 0,
-              high: 0
-            }
-          }
+          energy: energy
         },
         meta: {
           productId: productId,
           username: username,
           sensor: decodedSensor || null,
-          timeRange: timeRange || null,
-          filteredFrom: startDate ? startDate.toISOString() : null,
+          timeRange: req.timeWindow.timeRange,
+          filteredFrom: from.toISOString(),
+          filteredTo: to.toISOString(),
+          archivedBefore: archivedBefore(product, from),
           requestedAt: new Date().toISOString()
         }
       });
+    } catch (error) {
+      console.error('Error calculating user energy:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
     }
+  }
+);
+
+// GET /api/products/:productId/users/:username/cycles - On/off sessions and daily duty cycle of one sensor
+router.get(
+  '/products/:productId/users/:username/cycles',
+  userWindow,
+  validateCyclesQuery,
+  async (req, res) => {
+    try {
+      const { productId, username } = req.params;
+      const { sensor } = req.query;
+      const { maxGapSeconds, from, to } = req.cycles;
+
+      // Decode URL-encoded sensor parameter (convert + to spaces)
+      const decodedSensor = sensor ? decodeURIComponent(sensor.replace(/\+/g, ' ')) : sensor;
+
+      const product = await Product.findForOrganization(productId, req.organization._id);
+
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      // Cycles only make sense for one appliance, so a product with sensors needs one picked
+      if (!decodedSensor && product.sensors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Sensor parameter is required. Available sensors: ${product.sensors.join(', ')}`
+        });
+      }
 
-    const stat = stats[0];
+      if (decodedSensor && !product.sensors.includes(decodedSensor)) {
+        return res.status(400).json({
+          success: false,
+          message: `Sensor '${decodedSensor}' not found in product. Available sensors: ${product.sensors.join(', ')}`
+        });
+      }
+
+      const settings = product.getSensorSettings(decodedSensor);
+      const onAmper = req.cycles.onAmper ?? settings.onAmper;
+      // An on-threshold override without an off one keeps the sensor's hysteresis ratio
+      const offRatio = settings.onAmper > 0 ? settings.offAmper / settings.onAmper : 1;
+      const offAmper =
+        req.cycles.offAmper ??
+        (req.cycles.onAmper === undefined ? settings.offAmper : onAmper * offRatio);
+
+      if (offAmper > onAmper) {
+        return res.status(400).json({
+          success: false,
+          message: 'Off threshold cannot be higher than on threshold'
+        });
+      }
+
+      const match = {
+        product: new mongoose.Types.ObjectId(productId),
+        username: username,
+        sensor: decodedSensor || null,
+        ...AmperReading.measuredTimeFilter(from, to)
+      };
+
+      const cycles = await detectCycles({
+        match,
+        onAmper,
+        offAmper,
+        maxGapSeconds,
+        timezone: product.tariff?.timezone || 'UTC'
+      });
+
+      res.json({
+        success: true,
+        data: cycles,
+        meta: {
+          productId: productId,
+          username: username,
+          sensor: decodedSensor || null,
+          timeRange: req.timeWindow.timeRange,
+          filteredFrom: from.toISOString(),
+          filteredTo: to.toISOString(),
+          archivedBefore: archivedBefore(product, from),
+          requestedAt: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      console.error('Error detecting cycles:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/products/:productId/energy - Energy (kWh) and cost for a whole product or one sensor
+router.get('/products/:productId/energy', adminWindow, validateEnergyQuery, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { sensor } = req.query;
+    const { groupBy, maxGapSeconds, from, to } = req.energy;
+
+    // Decode URL-encoded sensor parameter (convert + to spaces)
+    const decodedSensor = sensor ? decodeURIComponent(sensor.replace(/\+/g, ' ')) : sensor;
+
+    const product = await Product.findForOrganization(productId, req.organization._id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // If sensor is provided, validate it exists in the product's sensors array
+    if (decodedSensor && !product.sensors.includes(decodedSensor)) {
+      return res.status(400).json({
+        success: false,
+        message: `Sensor '${decodedSensor}' not found in product. Available sensors: ${product.sensors.join(', ')}`
+      });
+    }
+
+    const match = {
+      product: new mongoose.Types.ObjectId(productId),
+      ...AmperReading.measuredTimeFilter(from, to)
+    };
+
+    if (decodedSensor) {
+      match.sensor = decodedSensor;
+    }
+
+    const energy = await calculateEnergy({ product, match, groupBy, maxGapSeconds });
 
     res.json({
       success: true,
@@ -725,32 +1298,21 @@ router.get('/products/:productId/users/:username/readings/stats', async (req, re
           name: product.name,
           sensors: product.sensors
         },
-        username: username,
         sensor: decodedSensor || null,
-        statistics: {
-          totalReadings: stat.totalReadings,
-          minAmper: Number(stat.minAmper.toFixed(2)),
-          maxAmper: Number(stat.maxAmper.toFixed(2)),
-          avgAmper: Number(stat.avgAmper.toFixed(2)),
-          categories: {
-            off: stat.offCount,
-            low: stat.lowCount,
-            mid: stat.midCount,
-            high: stat.highCount
-          }
-        }
+        energy: energy
       },
       meta: {
         productId: productId,
-        username: username,
         sensor: decodedSensor || null,
-        timeRange: timeRange || null,
-        filteredFrom: startDate ? startDate.toISOString() : null,
+        timeRange: req.timeWindow.timeRange,
+        filteredFrom: from.toISOString(),
+        filteredTo: to.toISOString(),
+        archivedBefore: archivedBefore(product, from),
         requestedAt: new Date().toISOString()
       }
     });
   } catch (error) {
-    console.error('Error fetching amper reading statistics:', error);
+    console.error('Error calculating product energy:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -0,0 +1,105 @@
+import express from 'express';
+import User from '../models/User.js';
+import { authenticate, signToken } from '../middleware/auth.js';
+import { validateCredentials, validateRegistration } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Public sign-up is opt-in: readings are keyed by free-text usernames, so an open sign-up would
+// let anyone claim a name that devices already report under. Operators create accounts with
+// scripts/createUser.js and organization admins invite them instead.
+const registrationEnabled = () => process.env.REGISTRATION_ENABLED === 'true';
+
+// POST /api/auth/register - Create a user account for the mobile app
+router.post('/auth/register', validateCredentials, validateRegistration, async (req, res) => {
+  try {
+    if (!registrationEnabled()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Registration is disabled'
+      });
+    }
+
+    const { username, password, email } = req.body;
+
+    const existing = await User.exists({ username });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Username is already taken'
+      });
+    }
+
+    const user = new User({ username, email });
+    await user.setPassword(password);
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: {
+        user,
+        token: signToken(user)
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Username is already taken'
+      });
+    }
+
+    console.error('Error registering user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/auth/login - Exchange username/password for a signed token
+router.post('/auth/login', validateCredentials, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const user = await User.findOne({ username }).select('+passwordHash');
+
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid username or password'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user,
+        token: signToken(user)
+      }
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/auth/me - Current user
+router.get('/auth/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+export default router;
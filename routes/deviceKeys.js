@@ -0,0 +1,197 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import DeviceKey from '../models/DeviceKey.js';
+import Product from '../models/Product.js';
+import { authenticate, requireOrganizationAdmin, resolveOrganization } from '../middleware/auth.js';
+import { validateProductId } from '../middleware/validation.js';
+
+const router = express.Router();
+
+router.use(
+  '/products/:productId/keys',
+  authenticate,
+  resolveOrganization,
+  requireOrganizationAdmin,
+  validateProductId
+);
+
+// Every key route acts on a product of the caller's organization
+router.use('/products/:productId/keys', async (req, res, next) => {
+  try {
+    req.product = await Product.findForOrganization(req.params.productId, req.organization._id);
+    if (!req.product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Error loading product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+const findKey = (productId, keyId) => {
+  if (!mongoose.Types.ObjectId.isValid(keyId)) return null;
+  return DeviceKey.findOne({ _id: keyId, product: productId });
+};
+
+// POST /api/products/:productId/keys - Issue a new device API key
+router.post('/products/:productId/keys', async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { name, sensor } = req.body;
+    const { product } = req;
+
+    if (sensor && !product.sensors.includes(sensor)) {
+      return res.status(400).json({
+        success: false,
+        message: `Sensor '${sensor}' not found in product. Available sensors: ${product.sensors.join(', ')}`
+      });
+    }
+
+    const { deviceKey, rawKey } = await DeviceKey.issue({ product: productId, sensor, name });
+
+    res.status(201).json({
+      success: true,
+      message: 'Device API key created. Store it now, it will not be shown again.',
+      data: {
+        key: deviceKey,
+        apiKey: rawKey
+      }
+    });
+  } catch (error) {
+    console.error('Error creating device key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/products/:productId/keys - List device API keys for a product
+router.get('/products/:productId/keys', async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { includeRevoked } = req.query;
+
+    const filter = { product: productId };
+    if (includeRevoked !== 'true') {
+      filter.revokedAt = null;
+    }
+
+    const keys = await DeviceKey.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: keys,
+      meta: {
+        productId: productId,
+        count: keys.length,
+        requestedAt: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching device keys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/products/:productId/keys/:keyId/rotate - Replace a key, optionally keeping the old one for a grace period
+router.post('/products/:productId/keys/:keyId/rotate', async (req, res) => {
+  try {
+    const { productId, keyId } = req.params;
+    const graceSeconds = Number(req.body.graceSeconds ?? 0);
+
+    if (!Number.isFinite(graceSeconds) || graceSeconds < 0 || graceSeconds > 7 * 24 * 60 * 60) {
+      return res.status(400).json({
+        success: false,
+        message: 'Grace seconds must be a number between 0 and 604800 (7 days)'
+      });
+    }
+
+    const oldKey = await findKey(productId, keyId);
+    if (!oldKey || !oldKey.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active device key not found'
+      });
+    }
+
+    const { deviceKey, rawKey } = await DeviceKey.issue({
+      product: oldKey.product,
+      sensor: oldKey.sensor,
+      name: oldKey.name,
+      rotatedFrom: oldKey._id
+    });
+
+    if (graceSeconds > 0) {
+      oldKey.expiresAt = new Date(Date.now() + graceSeconds * 1000);
+    } else {
+      oldKey.revokedAt = new Date();
+    }
+    await oldKey.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Device API key rotated. Store the new key now, it will not be shown again.',
+      data: {
+        key: deviceKey,
+        apiKey: rawKey,
+        previousKey: oldKey
+      }
+    });
+  } catch (error) {
+    console.error('Error rotating device key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/products/:productId/keys/:keyId - Revoke a device API key
+router.delete('/products/:productId/keys/:keyId', async (req, res) => {
+  try {
+    const { productId, keyId } = req.params;
+
+    const deviceKey = await findKey(productId, keyId);
+    if (!deviceKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device key not found'
+      });
+    }
+
+    if (!deviceKey.revokedAt) {
+      deviceKey.revokedAt = new Date();
+      await deviceKey.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Device API key revoked',
+      data: deviceKey
+    });
+  } catch (error) {
+    console.error('Error revoking device key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,278 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Device from '../models/Device.js';
+import Product from '../models/Product.js';
+import SequenceGap from '../models/SequenceGap.js';
+import { formatDevice, offlineAfterMs, recordDeviceActivity } from '../services/devices.js';
+import { authenticate, requireOrganizationAdmin, resolveOrganization } from '../middleware/auth.js';
+import { authenticateDevice, enforceDeviceKeyScope } from '../middleware/deviceAuth.js';
+import {
+  validateHeartbeat,
+  validateProductId,
+  validateTimeWindow
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+const MAX_GAPS = 500;
+const MAX_DEVICES = 1000;
+
+const heartbeatAccess = [authenticateDevice, enforceDeviceKeyScope, validateHeartbeat];
+const adminAccess = [authenticate, resolveOrganization, requireOrganizationAdmin];
+
+// POST /api/devices/heartbeat - Lightweight "still alive" signal from a board
+router.post('/devices/heartbeat', heartbeatAccess, async (req, res) => {
+  try {
+    const { deviceId, productId, firmwareVersion, bootId } = req.body;
+
+    const product = await Product.exists({ _id: productId });
+    if (!product) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID - product not found'
+      });
+    }
+
+    const device = await recordDeviceActivity({
+      deviceId,
+      productId,
+      sensors: req.body.sensor ? [req.body.sensor] : [],
+      firmwareVersion,
+      bootId,
+      ip: req.ip,
+      kind: 'heartbeat'
+    });
+
+    // serverTime lets boards without NTP check their clock
+    res.json({
+      success: true,
+      data: {
+        deviceId: device.deviceId,
+        status: 'online',
+        serverTime: new Date().toISOString(),
+        offlineAfterSeconds: offlineAfterMs() / 1000
+      }
+    });
+  } catch (error) {
+    console.error('Error recording heartbeat:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/devices - List devices of the organization's products with online/offline status
+router.get('/devices', adminAccess, async (req, res) => {
+  try {
+    const { productId, status } = req.query;
+
+    if (status !== undefined && !['online', 'offline'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be one of: online, offline'
+      });
+    }
+
+    const filter = {};
+    if (productId) {
+      if (!mongoose.Types.ObjectId.isValid(productId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Product ID must be a valid MongoDB ObjectId'
+        });
+      }
+
+      const product = await Product.findForOrganization(productId, req.organization._id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+      filter.product = product._id;
+    } else {
+      filter.product = { $in: await Product.organizationProductIds(req.organization._id) };
+    }
+
+    const now = Date.now();
+    const cutoff = new Date(now - offlineAfterMs());
+    if (status === 'online') filter.lastSeenAt = { $gte: cutoff };
+    if (status === 'offline') filter.lastSeenAt = { $lt: cutoff };
+
+    // Silent boards first: they are what support is looking for
+    const devices = await Device.find(filter).sort({ lastSeenAt: 1 }).limit(MAX_DEVICES).lean();
+    const data = devices.map(device => formatDevice(device, now));
+
+    res.json({
+      success: true,
+      data,
+      meta: {
+        count: data.length,
+        online: data.filter(device => device.status === 'online').length,
+        offline: data.filter(device => device.status === 'offline').length,
+        truncated: devices.length === MAX_DEVICES,
+        offlineAfterSeconds: offlineAfterMs() / 1000,
+        requestedAt: new Date(now).toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching devices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/devices/:deviceId?productId= - One device of the organization with its status.
+// productId is needed when the deviceId is used on several of its products.
+router.get('/devices/:deviceId', adminAccess, async (req, res) => {
+  try {
+    const { productId } = req.query;
+    const filter = { deviceId: req.params.deviceId };
+
+    if (productId !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(productId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Product ID must be a valid MongoDB ObjectId'
+        });
+      }
+
+      const product = await Product.findForOrganization(productId, req.organization._id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+      filter.product = product._id;
+    } else {
+      filter.product = { $in: await Product.organizationProductIds(req.organization._id) };
+    }
+
+    const devices = await Device.find(filter).limit(2).lean();
+
+    if (devices.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    if (devices.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Device ID is used on several products - productId is required'
+      });
+    }
+
+    const [device] = devices;
+
+    res.json({
+      success: true,
+      data: formatDevice(device)
+    });
+  } catch (error) {
+    console.error('Error fetching device:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.use('/products/:productId/sequence-gaps', adminAccess, validateProductId);
+
+// GET /api/products/:productId/sequence-gaps - Packet loss detected from device sequence numbers
+router.get('/products/:productId/sequence-gaps', validateTimeWindow, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { deviceId, status } = req.query;
+    const { from, to, timeRange } = req.timeWindow;
+
+    if (status !== undefined && !['open', 'closed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be one of: open, closed'
+      });
+    }
+
+    const product = await Product.findForOrganization(productId, req.organization._id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const filter = { product: productId };
+    if (deviceId) filter.deviceId = String(deviceId);
+    if (status === 'open') filter.closedAt = null;
+    if (status === 'closed') filter.closedAt = { $ne: null };
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    const gaps = await SequenceGap.find(filter).sort({ createdAt: -1 }).limit(MAX_GAPS).lean();
+
+    // Per-device totals over the returned gaps
+    const devices = new Map();
+    gaps.forEach(gap => {
+      if (!devices.has(gap.deviceId)) {
+        devices.set(gap.deviceId, { deviceId: gap.deviceId, gaps: 0, missing: 0, recovered: 0 });
+      }
+      const device = devices.get(gap.deviceId);
+      device.gaps++;
+      device.missing += gap.missing;
+      device.recovered += gap.recovered;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        devices: [...devices.values()].map(device => ({
+          ...device,
+          lost: device.missing - device.recovered
+        })),
+        gaps: gaps.map(gap => ({
+          id: gap._id,
+          deviceId: gap.deviceId,
+          bootId: gap.bootId,
+          username: gap.username,
+          fromSeq: gap.fromSeq,
+          toSeq: gap.toSeq,
+          missing: gap.missing,
+          recovered: gap.recovered,
+          lost: gap.missing - gap.recovered,
+          detectedAt: gap.createdAt,
+          closedAt: gap.closedAt
+        }))
+      },
+      meta: {
+        productId,
+        count: gaps.length,
+        truncated: gaps.length === MAX_GAPS,
+        timeRange: timeRange || null,
+        filteredFrom: from ? from.toISOString() : null,
+        filteredTo: to ? to.toISOString() : null,
+        requestedAt: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching sequence gaps:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+export default router;
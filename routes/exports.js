@@ -0,0 +1,114 @@
+import express from 'express';
+import AmperReading from '../models/AmperReading.js';
+import Product from '../models/Product.js';
+import { streamReadingsExport } from '../services/export.js';
+import {
+  authenticate,
+  authorizeUsername,
+  requireOrganizationAdmin,
+  resolveOrganization
+} from '../middleware/auth.js';
+import {
+  validateExportQuery,
+  validateProductId,
+  validateTimeWindow,
+  validateUsername
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+const userExport = [
+  validateUsername,
+  authenticate,
+  resolveOrganization,
+  authorizeUsername,
+  validateTimeWindow,
+  validateExportQuery
+];
+const productExport = [
+  validateProductId,
+  authenticate,
+  resolveOrganization,
+  requireOrganizationAdmin,
+  validateTimeWindow,
+  validateExportQuery
+];
+
+const handleExportError = (res, error) => {
+  console.error('Error exporting readings:', error);
+
+  // Once streaming started the status is already sent; cut the response so it is visibly incomplete
+  if (res.headersSent) {
+    return res.destroy(error);
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// GET /api/user/:username/export - Stream a user's readings in the caller's organization
+router.get('/user/:username/export', userExport, async (req, res) => {
+  try {
+    const { username } = req.params;
+    const { from, to } = req.timeWindow;
+    const productIds = await Product.organizationProductIds(req.organization._id);
+
+    await streamReadingsExport(res, {
+      ...req.export,
+      match: {
+        username,
+        product: { $in: productIds },
+        ...AmperReading.measuredTimeFilter(from, to)
+      },
+      filename: `readings-${username}`
+    });
+  } catch (error) {
+    handleExportError(res, error);
+  }
+});
+
+// GET /api/products/:productId/export - Stream the readings of one of the organization's products
+// (or one of its sensors)
+router.get('/products/:productId/export', productExport, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { sensor, username } = req.query;
+    const { from, to } = req.timeWindow;
+
+    const product = await Product.findForOrganization(productId, req.organization._id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const match = { product: productId, ...AmperReading.measuredTimeFilter(from, to) };
+    let filename = `readings-${product.name}`;
+
+    if (sensor) {
+      const decodedSensor = decodeURIComponent(sensor.replace(/\+/g, ' '));
+      if (!product.sensors.includes(decodedSensor)) {
+        return res.status(400).json({
+          success: false,
+          message: `Sensor '${decodedSensor}' not found in product. Available sensors: ${product.sensors.join(', ')}`
+        });
+      }
+      match.sensor = decodedSensor;
+      filename += `-${decodedSensor}`;
+    }
+
+    if (username) {
+      match.username = String(username).trim();
+    }
+
+    await streamReadingsExport(res, { ...req.export, match, filename });
+  } catch (error) {
+    handleExportError(res, error);
+  }
+});
+
+export default router;
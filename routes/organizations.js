@@ -0,0 +1,429 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+import {
+  authenticate,
+  requireAdmin,
+  requireOrganizationAdmin,
+  resolveOrganization
+} from '../middleware/auth.js';
+import {
+  validateMemberData,
+  validateOrganizationData,
+  validateUsername
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// :organizationId routes act in that organization; members are managed by its admins
+const organizationAdmin = [authenticate, resolveOrganization, requireOrganizationAdmin];
+
+const formatOrganization = async organization => {
+  await organization.populate(['members.user', 'invitations.user'], 'username');
+
+  return {
+    id: organization._id,
+    name: organization.name,
+    members: organization.members
+      .filter(member => member.user)
+      .map(member => ({ username: member.user.username, role: member.role })),
+    invitations: organization.invitations
+      .filter(invitation => invitation.user)
+      .map(invitation => ({
+        username: invitation.user.username,
+        role: invitation.role,
+        invitedAt: invitation.invitedAt
+      })),
+    productCount: await Product.countDocuments({ organization: organization._id }),
+    createdAt: organization.createdAt,
+    updatedAt: organization.updatedAt
+  };
+};
+
+// Find the member entry of :username, answering 404 when there is none
+const findMember = async (req, res) => {
+  const user = await User.findOne({ username: req.params.username }).select('_id');
+  const member = user && req.organization.members.find(entry => entry.user.equals(user._id));
+
+  if (!member) {
+    res.status(404).json({
+      success: false,
+      message: 'Member not found'
+    });
+    return null;
+  }
+  return member;
+};
+
+// The organization of :organizationId if it has invited the caller, else null
+const findInvitedOrganization = async req => {
+  const { organizationId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(organizationId)) return null;
+
+  const organization = await Organization.findById(organizationId);
+  return organization?.invitationOf(req.user._id) ? organization : null;
+};
+
+const invitationNotFound = res =>
+  res.status(404).json({
+    success: false,
+    message: 'Invitation not found'
+  });
+
+// An organization must keep at least one admin besides platform admins
+const isLastAdmin = (organization, member) =>
+  member.role === 'admin' &&
+  organization.members.filter(entry => entry.role === 'admin').length === 1;
+
+// POST /api/organizations - Create an organization (platform admin), who becomes its admin
+router.post(
+  '/organizations',
+  authenticate,
+  requireAdmin,
+  validateOrganizationData,
+  async (req, res) => {
+    try {
+      const organization = await Organization.create({
+        name: req.body.name,
+        members: [{ user: req.user._id, role: 'admin' }]
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Organization created successfully',
+        data: await formatOrganization(organization)
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'Organization name is already taken'
+        });
+      }
+
+      console.error('Error creating organization:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/organizations - Organizations of the caller (platform admins see all)
+router.get('/organizations', authenticate, async (req, res) => {
+  try {
+    const filter = req.user.role === 'admin' ? {} : { 'members.user': req.user._id };
+    const organizations = await Organization.find(filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: organizations.map(organization => ({
+        id: organization._id,
+        name: organization.name,
+        role: req.user.role === 'admin' ? 'admin' : organization.roleOf(req.user._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching organizations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/organizations/invitations - Pending invitations of the caller
+router.get('/organizations/invitations', authenticate, async (req, res) => {
+  try {
+    const organizations = await Organization.find({ 'invitations.user': req.user._id }).sort({
+      name: 1
+    });
+
+    res.json({
+      success: true,
+      data: organizations.map(organization => {
+        const invitation = organization.invitationOf(req.user._id);
+        return {
+          id: organization._id,
+          name: organization.name,
+          role: invitation.role,
+          invitedAt: invitation.invitedAt
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching organization invitations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/organizations/:organizationId - Organization details and members
+router.get('/organizations/:organizationId', organizationAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await formatOrganization(req.organization)
+    });
+  } catch (error) {
+    console.error('Error fetching organization:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /api/organizations/:organizationId - Rename an organization
+router.put(
+  '/organizations/:organizationId',
+  organizationAdmin,
+  validateOrganizationData,
+  async (req, res) => {
+    try {
+      req.organization.name = req.body.name;
+      await req.organization.save();
+
+      res.json({
+        success: true,
+        message: 'Organization updated successfully',
+        data: await formatOrganization(req.organization)
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'Organization name is already taken'
+        });
+      }
+
+      console.error('Error updating organization:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/organizations/:organizationId/members - Invite an existing user ({ username, role }).
+// They become a member once they accept; accounts are created by platform operators.
+router.post(
+  '/organizations/:organizationId/members',
+  organizationAdmin,
+  validateMemberData,
+  async (req, res) => {
+    try {
+      const { username, role } = req.body;
+
+      const user = await User.findOne({ username }).select('_id');
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (req.organization.roleOf(user._id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'User is already a member of this organization'
+        });
+      }
+
+      const invitation = req.organization.invitationOf(user._id);
+      if (invitation) {
+        invitation.role = role;
+      } else {
+        req.organization.invitations.push({ user: user._id, role });
+      }
+      await req.organization.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Invitation sent - the user becomes a member once they accept it',
+        data: await formatOrganization(req.organization)
+      });
+    } catch (error) {
+      console.error('Error inviting organization member:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// DELETE /api/organizations/:organizationId/invitations/:username - Withdraw an invitation
+router.delete(
+  '/organizations/:organizationId/invitations/:username',
+  validateUsername,
+  organizationAdmin,
+  async (req, res) => {
+    try {
+      const user = await User.findOne({ username: req.params.username }).select('_id');
+      const invitation = user && req.organization.invitationOf(user._id);
+      if (!invitation) return invitationNotFound(res);
+
+      req.organization.invitations = req.organization.invitations.filter(
+        entry => entry !== invitation
+      );
+      await req.organization.save();
+
+      res.json({
+        success: true,
+        message: 'Invitation withdrawn',
+        data: await formatOrganization(req.organization)
+      });
+    } catch (error) {
+      console.error('Error withdrawing organization invitation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/organizations/:organizationId/invitations/accept - Accept the caller's invitation
+router.post('/organizations/:organizationId/invitations/accept', authenticate, async (req, res) => {
+  try {
+    const organization = await findInvitedOrganization(req);
+    if (!organization) return invitationNotFound(res);
+
+    const invitation = organization.invitationOf(req.user._id);
+    organization.invitations = organization.invitations.filter(entry => entry !== invitation);
+    if (!organization.roleOf(req.user._id)) {
+      organization.members.push({ user: req.user._id, role: invitation.role });
+    }
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation accepted',
+      data: {
+        id: organization._id,
+        name: organization.name,
+        role: organization.roleOf(req.user._id)
+      }
+    });
+  } catch (error) {
+    console.error('Error accepting organization invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/organizations/:organizationId/invitations - Decline the caller's invitation
+router.delete('/organizations/:organizationId/invitations', authenticate, async (req, res) => {
+  try {
+    const organization = await findInvitedOrganization(req);
+    if (!organization) return invitationNotFound(res);
+
+    const invitation = organization.invitationOf(req.user._id);
+    organization.invitations = organization.invitations.filter(entry => entry !== invitation);
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation declined'
+    });
+  } catch (error) {
+    console.error('Error declining organization invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /api/organizations/:organizationId/members/:username - Change a member's role
+router.put(
+  '/organizations/:organizationId/members/:username',
+  validateUsername,
+  organizationAdmin,
+  validateMemberData,
+  async (req, res) => {
+    try {
+      const member = await findMember(req, res);
+      if (!member) return;
+
+      if (req.body.role !== 'admin' && isLastAdmin(req.organization, member)) {
+        return res.status(409).json({
+          success: false,
+          message: 'An organization needs at least one admin'
+        });
+      }
+
+      member.role = req.body.role;
+      await req.organization.save();
+
+      res.json({
+        success: true,
+        message: 'Member updated successfully',
+        data: await formatOrganization(req.organization)
+      });
+    } catch (error) {
+      console.error('Error updating organization member:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// DELETE /api/organizations/:organizationId/members/:username - Remove a member
+router.delete(
+  '/organizations/:organizationId/members/:username',
+  validateUsername,
+  organizationAdmin,
+  async (req, res) => {
+    try {
+      const member = await findMember(req, res);
+      if (!member) return;
+
+      if (isLastAdmin(req.organization, member)) {
+        return res.status(409).json({
+          success: false,
+          message: 'An organization needs at least one admin'
+        });
+      }
+
+      req.organization.members = req.organization.members.filter(entry => entry !== member);
+      await req.organization.save();
+
+      res.json({
+        success: true,
+        message: 'Member removed successfully',
+        data: await formatOrganization(req.organization)
+      });
+    } catch (error) {
+      console.error('Error removing organization member:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,141 @@
+import express from 'express';
+import ErasureAudit from '../models/ErasureAudit.js';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { isRetentionRunning } from '../services/retention.js';
+import { eraseUserData, hashUsername, streamUserDataExport } from '../services/userData.js';
+import {
+  validateErasureRequest,
+  validatePagination,
+  validateUsername
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Data subject requests are handled by admins
+const adminAccess = [authenticate, requireAdmin];
+
+const formatAudit = audit => ({
+  id: audit._id,
+  usernameHash: audit.usernameHash,
+  mode: audit.mode,
+  pseudonym: audit.pseudonym,
+  reason: audit.reason,
+  requestedBy: audit.requestedBy,
+  status: audit.status,
+  affected: audit.affected,
+  error: audit.error,
+  createdAt: audit.createdAt,
+  completedAt: audit.completedAt
+});
+
+// GET /api/privacy/users/:username/export - Everything stored for a username, as NDJSON
+router.get('/privacy/users/:username/export', validateUsername, adminAccess, async (req, res) => {
+  try {
+    await streamUserDataExport(res, req.params.username);
+  } catch (error) {
+    console.error('Error exporting user data:', error);
+
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/privacy/users/:username/erase - Delete or pseudonymize a username everywhere
+router.post(
+  '/privacy/users/:username/erase',
+  validateUsername,
+  adminAccess,
+  validateErasureRequest,
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+      const { mode, reason } = req.body;
+
+      // A running job could write the user's readings to an archive file after it was rewritten
+      if (isRetentionRunning()) {
+        return res.status(409).json({
+          success: false,
+          message: 'A retention run is in progress, try again when it has finished'
+        });
+      }
+
+      const audit = await eraseUserData({
+        username,
+        mode,
+        reason,
+        requestedBy: req.user.username
+      });
+
+      if (audit.status !== 'completed') {
+        return res.status(500).json({
+          success: false,
+          message: 'Erasure did not complete; run it again to finish',
+          data: formatAudit(audit)
+        });
+      }
+
+      res.json({
+        success: true,
+        message: mode === 'delete' ? 'User data deleted' : 'User data pseudonymized',
+        data: formatAudit(audit)
+      });
+    } catch (error) {
+      console.error('Error erasing user data:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/privacy/erasures?username= - Erasure audit log, newest first
+router.get('/privacy/erasures', adminAccess, validatePagination, async (req, res) => {
+  try {
+    const { username } = req.query;
+    const { page, limit, skip } = req.pagination;
+
+    if (req.pagination.mode === 'cursor') {
+      return res.status(400).json({
+        success: false,
+        message: 'The erasure log is paged with page, not cursor'
+      });
+    }
+
+    const filter = typeof username === 'string' ? { usernameHash: hashUsername(username) } : {};
+    const [audits, total] = await Promise.all([
+      ErasureAudit.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      ErasureAudit.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        erasures: audits.map(formatAudit),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching erasure audits:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+export default router;
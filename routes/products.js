@@ -0,0 +1,605 @@
+import express from 'express';
+import Alert from '../models/Alert.js';
+import AlertRule from '../models/AlertRule.js';
+import Anomaly from '../models/Anomaly.js';
+import AmperReading from '../models/AmperReading.js';
+import ArchivedReading from '../models/ArchivedReading.js';
+import Device from '../models/Device.js';
+import DeviceKey from '../models/DeviceKey.js';
+import Product from '../models/Product.js';
+import SequenceGap from '../models/SequenceGap.js';
+import { authenticate, requireOrganizationAdmin, resolveOrganization } from '../middleware/auth.js';
+import {
+  deleteArchivedSensor,
+  deleteProductArchives,
+  hasProductArchives,
+  isRetentionRunning,
+  previewRetention,
+  renameArchivedSensor,
+  runProductRetention
+} from '../services/retention.js';
+import {
+  deleteRollups,
+  isRollupRebuildRunning,
+  renameRollupSensor,
+  scheduleRollupRebuild
+} from '../services/rollups.js';
+import {
+  validateProductData,
+  validateProductId,
+  validateSensorData
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Product and sensor management is for admins of the organization owning the product
+const adminAccess = [authenticate, resolveOrganization, requireOrganizationAdmin];
+
+// Band thresholds of the product and its sensor overrides. Rollups count readings per band
+// position, so when this changes they are rebuilt from the raw readings.
+const bandLayout = product =>
+  JSON.stringify(product.consumptionBandExpression(null, { indexed: true }));
+
+// Rebuilding while retention archives the same days would drop their counts
+const retentionRunningConflict = res =>
+  res.status(409).json({
+    success: false,
+    message: 'A retention run is in progress, try again when it has finished'
+  });
+
+const formatProduct = product => ({
+  id: product._id,
+  name: product.name,
+  organization: product.organization ?? null,
+  sensors: product.sensors,
+  sensorSettings: product.sensors.map(sensor => product.getSensorSettings(sensor)),
+  autoRegisterSensors: product.autoRegisterSensors,
+  voltage: product.voltage ?? null,
+  powerFactor: product.powerFactor ?? null,
+  tariff: product.tariff,
+  consumptionBands: product.consumptionBands?.length ? product.getConsumptionBands() : null,
+  retention: product.retention
+    ? {
+        rawDays: product.retention.rawDays ?? null,
+        hourlyRollupDays: product.retention.hourlyRollupDays ?? null,
+        rawArchivedBefore: product.retention.rawArchivedBefore ?? null,
+        hourlyRollupsPrunedBefore: product.retention.hourlyRollupsPrunedBefore ?? null
+      }
+    : null,
+  createdAt: product.createdAt,
+  updatedAt: product.updatedAt
+});
+
+// POST /api/products - Create a product
+router.post('/products', adminAccess, validateProductData, async (req, res) => {
+  try {
+    const { name, sensors = [], autoRegisterSensors, voltage, powerFactor, tariff } = req.body;
+    const { consumptionBands, retention } = req.body;
+
+    const product = await Product.create({
+      name,
+      organization: req.organization._id,
+      sensors,
+      autoRegisterSensors,
+      voltage: voltage ?? undefined,
+      powerFactor: powerFactor ?? undefined,
+      tariff,
+      consumptionBands: consumptionBands ?? undefined,
+      retention: retention ?? undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Product created successfully',
+      data: formatProduct(product)
+    });
+  } catch (error) {
+    console.error('Error creating product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /api/products/:productId - Update product details
+router.put(
+  '/products/:productId',
+  adminAccess,
+  validateProductId,
+  validateProductData,
+  async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const { name, autoRegisterSensors, tariff } = req.body;
+
+      const product = await Product.findForOrganization(productId, req.organization._id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      const bandsBefore = bandLayout(product);
+      if (name !== undefined) {
+        product.name = name;
+      }
+      if (autoRegisterSensors !== undefined) {
+        product.autoRegisterSensors = autoRegisterSensors;
+      }
+      // null resets voltage / power factor / consumption bands to the defaults
+      for (const field of ['voltage', 'powerFactor', 'consumptionBands']) {
+        if (req.body[field] !== undefined) {
+          product.set(field, req.body[field] ?? undefined);
+        }
+      }
+      if (tariff !== undefined) {
+        product.tariff = tariff;
+      }
+      if (req.body.retention !== undefined) {
+        product.setRetention(req.body.retention);
+      }
+
+      const bandsChanged = bandLayout(product) !== bandsBefore;
+      if (bandsChanged && isRetentionRunning(product._id)) {
+        return retentionRunningConflict(res);
+      }
+      await product.save();
+
+      if (bandsChanged) scheduleRollupRebuild(product._id);
+
+      res.json({
+        success: true,
+        message: bandsChanged
+          ? 'Product updated successfully, its rollups are being rebuilt'
+          : 'Product updated successfully',
+        data: formatProduct(product)
+      });
+    } catch (error) {
+      console.error('Error updating product:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// DELETE /api/products/:productId?cascade=true - Delete a product, refusing while readings (also
+// archived ones) exist unless cascading
+router.delete('/products/:productId', adminAccess, validateProductId, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const cascade = req.query.cascade === 'true';
+
+    const product = await Product.findForOrganization(productId, req.organization._id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const [readingCount, archivedReadingCount, archiveFiles] = await Promise.all([
+      AmperReading.countDocuments({ product: productId }),
+      ArchivedReading.countDocuments({ product: productId }),
+      hasProductArchives(productId)
+    ]);
+
+    if ((readingCount > 0 || archivedReadingCount > 0 || archiveFiles) && !cascade) {
+      return res.status(409).json({
+        success: false,
+        message: `Product has ${readingCount} readings and ${archivedReadingCount} archived readings${
+          archiveFiles ? ' plus archive files' : ''
+        }. Pass cascade=true to delete them as well.`,
+        data: { readingCount, archivedReadingCount, archiveFiles }
+      });
+    }
+
+    // A running job could write a new archive file after the product's files were removed
+    if (cascade && isRetentionRunning(product._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A retention run is in progress, try again when it has finished'
+      });
+    }
+
+    const deletedReadings = cascade ? await AmperReading.deleteMany({ product: productId }) : null;
+    if (cascade) {
+      await ArchivedReading.deleteMany({ product: productId });
+      await deleteProductArchives(productId);
+    }
+    const deletedKeys = await DeviceKey.deleteMany({ product: productId });
+    await Device.deleteMany({ product: productId });
+    await SequenceGap.deleteMany({ product: productId });
+    await AlertRule.deleteMany({ product: productId });
+    await Alert.deleteMany({ product: productId });
+    await Anomaly.deleteMany({ product: productId });
+    await deleteRollups({ product: productId });
+    await product.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Product deleted successfully',
+      data: {
+        id: product._id,
+        deletedReadings: deletedReadings ? deletedReadings.deletedCount : 0,
+        deletedKeys: deletedKeys.deletedCount
+      }
+    });
+  } catch (error) {
+    console.error('Error deleting product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/products/:productId/sensors - Add a sensor
+router.post(
+  '/products/:productId/sensors',
+  adminAccess,
+  validateProductId,
+  validateSensorData,
+  async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const { name, minAmper, maxAmper, voltage, powerFactor } = req.body;
+      const { anomalyDetection, anomalyZScore, anomalyMinChange, onAmper, offAmper } = req.body;
+      const { consumptionBands } = req.body;
+
+      const product = await Product.findForOrganization(productId, req.organization._id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      if (product.sensors.includes(name)) {
+        return res.status(409).json({
+          success: false,
+          message: `Sensor '${name}' already exists in product`
+        });
+      }
+
+      const bandsBefore = bandLayout(product);
+      product.sensors.push(name);
+      const settings = {
+        minAmper,
+        maxAmper,
+        voltage,
+        powerFactor,
+        anomalyDetection,
+        anomalyZScore,
+        anomalyMinChange,
+        onAmper,
+        offAmper,
+        consumptionBands
+      };
+      if (Object.values(settings).some(value => value !== undefined && value !== null)) {
+        product.updateSensorSettings(name, settings);
+      }
+
+      // Only readings left under the name (a sensor removed without cascade) are counted in bands
+      const bandsChanged =
+        bandLayout(product) !== bandsBefore &&
+        Boolean(await AmperReading.exists({ product: product._id, sensor: name }));
+      if (bandsChanged && isRetentionRunning(product._id)) {
+        return retentionRunningConflict(res);
+      }
+      await product.save();
+
+      if (bandsChanged) scheduleRollupRebuild(product._id);
+
+      res.status(201).json({
+        success: true,
+        message: bandsChanged
+          ? 'Sensor added successfully, the product rollups are being rebuilt'
+          : 'Sensor added successfully',
+        data: formatProduct(product)
+      });
+    } catch (error) {
+      console.error('Error adding sensor:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// PUT /api/products/:productId/sensors/:sensor - Rename a sensor (migrating existing readings) and/or update its settings
+router.put(
+  '/products/:productId/sensors/:sensor',
+  adminAccess,
+  validateProductId,
+  validateSensorData,
+  async (req, res) => {
+    try {
+      const { productId, sensor } = req.params;
+      const { minAmper, maxAmper, voltage, powerFactor } = req.body;
+      const { anomalyDetection, anomalyZScore, anomalyMinChange, onAmper, offAmper } = req.body;
+      const { consumptionBands } = req.body;
+      const name = req.body.name ?? sensor;
+
+      const product = await Product.findForOrganization(productId, req.organization._id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      const index = product.sensors.indexOf(sensor);
+      if (index === -1) {
+        return res.status(404).json({
+          success: false,
+          message: `Sensor '${sensor}' not found in product. Available sensors: ${product.sensors.join(', ')}`
+        });
+      }
+
+      if (name !== sensor && product.sensors.includes(name)) {
+        return res.status(409).json({
+          success: false,
+          message: `Sensor '${name}' already exists in product`
+        });
+      }
+
+      const bandsBefore = bandLayout(product);
+      product.updateSensorSettings(sensor, {
+        minAmper,
+        maxAmper,
+        voltage,
+        powerFactor,
+        anomalyDetection,
+        anomalyZScore,
+        anomalyMinChange,
+        onAmper,
+        offAmper,
+        consumptionBands
+      });
+
+      const settings = product.getSensorSettings(sensor);
+      if (settings.minAmper >= settings.maxAmper) {
+        return res.status(400).json({
+          success: false,
+          message: 'Minimum amper must be lower than maximum amper'
+        });
+      }
+
+      if (settings.offAmper > settings.onAmper) {
+        return res.status(400).json({
+          success: false,
+          message: 'Off threshold cannot be higher than on threshold'
+        });
+      }
+
+      const renamed = name !== sensor;
+      const bandsChanged = bandLayout(product) !== bandsBefore;
+
+      // A running job could archive readings under the old name after the files were rewritten,
+      // or archive days while the rebuild recounts them
+      if ((renamed || bandsChanged) && isRetentionRunning(product._id)) {
+        return retentionRunningConflict(res);
+      }
+
+      if (renamed) {
+        product.sensors.set(index, name);
+        product.sensorSettings.find(entry => entry.name === sensor).name = name;
+      }
+      await product.save();
+
+      // Keep readings and sensor-scoped device keys queryable under the new name
+      let migratedReadings = 0;
+      if (renamed) {
+        const result = await AmperReading.updateMany(
+          { product: productId, sensor },
+          { $set: { sensor: name } }
+        );
+        await DeviceKey.updateMany({ product: productId, sensor }, { $set: { sensor: name } });
+        await AlertRule.updateMany({ product: productId, sensor }, { $set: { sensor: name } });
+        await Alert.updateMany({ product: productId, sensor }, { $set: { sensor: name } });
+        await Anomaly.updateMany({ product: productId, sensor }, { $set: { sensor: name } });
+        await ArchivedReading.updateMany(
+          { product: productId, sensor },
+          { $set: { sensor: name } }
+        );
+        await renameArchivedSensor(productId, sensor, name);
+        await renameRollupSensor(productId, sensor, name);
+        migratedReadings = result.modifiedCount;
+      }
+
+      // After the rename, so the rebuild reads the readings under their new name
+      if (bandsChanged) scheduleRollupRebuild(product._id);
+
+      res.json({
+        success: true,
+        message: `${renamed ? 'Sensor renamed successfully' : 'Sensor updated successfully'}${
+          bandsChanged ? ', the product rollups are being rebuilt' : ''
+        }`,
+        data: {
+          ...formatProduct(product),
+          migratedReadings
+        }
+      });
+    } catch (error) {
+      console.error('Error renaming sensor:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// DELETE /api/products/:productId/sensors/:sensor?cascade=true - Remove a sensor
+router.delete(
+  '/products/:productId/sensors/:sensor',
+  adminAccess,
+  validateProductId,
+  async (req, res) => {
+    try {
+      const { productId, sensor } = req.params;
+      const cascade = req.query.cascade === 'true';
+
+      const product = await Product.findForOrganization(productId, req.organization._id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      if (!product.sensors.includes(sensor)) {
+        return res.status(404).json({
+          success: false,
+          message: `Sensor '${sensor}' not found in product. Available sensors: ${product.sensors.join(', ')}`
+        });
+      }
+
+      const readingCount = await AmperReading.countDocuments({ product: productId, sensor });
+
+      if (readingCount > 0 && !cascade) {
+        return res.status(409).json({
+          success: false,
+          message: `Sensor has ${readingCount} readings. Pass cascade=true to delete them as well.`,
+          data: { readingCount }
+        });
+      }
+
+      if (cascade && isRetentionRunning(product._id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A retention run is in progress, try again when it has finished'
+        });
+      }
+
+      product.sensors.pull(sensor);
+      product.sensorSettings = product.sensorSettings.filter(entry => entry.name !== sensor);
+      await product.save();
+
+      const deletedReadings = cascade
+        ? await AmperReading.deleteMany({ product: productId, sensor })
+        : null;
+      if (cascade) {
+        await Anomaly.deleteMany({ product: productId, sensor });
+        await ArchivedReading.deleteMany({ product: productId, sensor });
+        await deleteArchivedSensor(productId, sensor);
+        await deleteRollups({ product: productId, sensor });
+      }
+      await DeviceKey.updateMany(
+        { product: productId, sensor, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+      // Sensor-scoped alert rules can no longer match anything
+      await AlertRule.updateMany({ product: productId, sensor }, { $set: { enabled: false } });
+
+      res.json({
+        success: true,
+        message: 'Sensor removed successfully',
+        data: {
+          ...formatProduct(product),
+          deletedReadings: deletedReadings ? deletedReadings.deletedCount : 0
+        }
+      });
+    } catch (error) {
+      console.error('Error removing sensor:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/products/:productId/retention - Retention settings and what the next run would remove
+router.get('/products/:productId/retention', adminAccess, validateProductId, async (req, res) => {
+  try {
+    const product = await Product.findForOrganization(req.params.productId, req.organization._id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await previewRetention(product)
+    });
+  } catch (error) {
+    console.error('Error previewing retention:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/products/:productId/retention/run - Start the retention job for one product now
+router.post(
+  '/products/:productId/retention/run',
+  adminAccess,
+  validateProductId,
+  async (req, res) => {
+    try {
+      const product = await Product.findForOrganization(req.params.productId, req.organization._id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      if (!product.retention?.rawDays && !product.retention?.hourlyRollupDays) {
+        return res.status(400).json({
+          success: false,
+          message: 'Product has no retention period configured'
+        });
+      }
+
+      if (isRetentionRunning(product._id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Retention is already running for this product'
+        });
+      }
+
+      if (isRollupRebuildRunning(product._id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'The product rollups are being rebuilt, try again when it has finished'
+        });
+      }
+
+      // Archiving can take a while; the outcome is recorded as lastRun (see GET .../retention)
+      runProductRetention(product).catch(error => {
+        console.error('Error running retention:', error);
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Retention run started'
+      });
+    } catch (error) {
+      console.error('Error starting retention run:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+export default router;
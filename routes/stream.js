@@ -0,0 +1,101 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import { authenticate, resolveOrganization } from '../middleware/auth.js';
+import { addStreamClient, getStreamClientCount } from '../services/readingStream.js';
+
+const router = express.Router();
+
+// Read at call time: routes are imported before server.js loads .env
+const maxStreamClients = () => Number(process.env.STREAM_MAX_CLIENTS) || 500;
+
+// GET /api/stream/readings - Push the organization's newly saved readings as Server-Sent Events
+router.get('/stream/readings', authenticate, resolveOrganization, async (req, res) => {
+  try {
+    const { productId, sensor, username } = req.query;
+    const isAdmin = req.organizationRole === 'admin';
+
+    // Regular users only ever see their own readings
+    if (!isAdmin && username && username !== req.user.username) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this user'
+      });
+    }
+
+    // Products created after the stream opened are picked up on reconnect
+    const filter = {
+      productIds: null,
+      sensor: null,
+      username: isAdmin ? username || null : req.user.username
+    };
+
+    if (productId) {
+      if (!mongoose.Types.ObjectId.isValid(productId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product ID format'
+        });
+      }
+
+      const product = await Product.findForOrganization(productId, req.organization._id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      filter.productIds = new Set([product._id.toString()]);
+
+      if (sensor) {
+        const decodedSensor = decodeURIComponent(sensor.replace(/\+/g, ' '));
+        if (!product.sensors.includes(decodedSensor)) {
+          return res.status(400).json({
+            success: false,
+            message: `Sensor '${decodedSensor}' not found in product. Available sensors: ${product.sensors.join(', ')}`
+          });
+        }
+        filter.sensor = decodedSensor;
+      }
+    } else if (sensor) {
+      return res.status(400).json({
+        success: false,
+        message: 'productId is required when filtering by sensor'
+      });
+    } else {
+      const productIds = await Product.organizationProductIds(req.organization._id);
+      filter.productIds = new Set(productIds.map(id => id.toString()));
+    }
+
+    // EventSource sends Last-Event-ID on reconnect; the query param covers clients that cannot set headers
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+    if (lastEventId && !mongoose.Types.ObjectId.isValid(lastEventId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid Last-Event-ID - must be a reading ID'
+      });
+    }
+
+    if (getStreamClientCount() >= maxStreamClients()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Too many open streams, try again later'
+      });
+    }
+
+    await addStreamClient(req, res, filter, lastEventId);
+  } catch (error) {
+    console.error('Error opening reading stream:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+export default router;
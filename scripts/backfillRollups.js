@@ -0,0 +1,65 @@
+// Rebuild the hourly / daily reading rollups from raw readings, e.g. after upgrading or after
+// editing readings directly in the database.
+// Usage: npm run backfill-rollups -- [--product <id>] [--from 2025-01-01] [--to 2025-07-01]
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { rebuildRollups } from '../services/rollups.js';
+
+dotenv.config();
+
+const parseDate = (value, flag) => {
+  if (value === undefined) return undefined;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`${flag} must be a date (e.g. 2025-01-01)`);
+  }
+  return date;
+};
+
+const run = async () => {
+  const { values: options } = parseArgs({
+    options: {
+      product: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' }
+    }
+  });
+
+  if (options.product && !mongoose.Types.ObjectId.isValid(options.product)) {
+    throw new Error('--product must be a valid MongoDB ObjectId');
+  }
+
+  const from = parseDate(options.from, '--from');
+  const to = parseDate(options.to, '--to');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let lastProduct = null;
+  const report = await rebuildRollups({
+    productId: options.product,
+    from,
+    to,
+    onProgress: progress => {
+      if (progress.productId.toString() !== lastProduct) {
+        lastProduct = progress.productId.toString();
+        console.log(`📦 Product ${lastProduct}`);
+      }
+      if (progress.day.getUTCDate() === 1) {
+        console.log(`   ${progress.day.toISOString().slice(0, 7)}...`);
+      }
+    }
+  });
+
+  console.log(`✅ Rollups rebuilt: ${report.products} products, ${report.days} days`);
+  console.log(`   hourly rollups: ${report.hourlyRollups}`);
+  console.log(`   daily rollups:  ${report.dailyRollups}`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Backfill failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
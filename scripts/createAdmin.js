@@ -0,0 +1,42 @@
+// Create an admin account or promote an existing user to admin.
+// Usage: npm run create-admin -- <username> [password]
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+
+dotenv.config();
+
+const [username, password] = process.argv.slice(2);
+
+const run = async () => {
+  if (!username) {
+    throw new Error('Usage: npm run create-admin -- <username> [password]');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let user = await User.findOne({ username });
+
+  if (!user) {
+    if (!password || password.length < 8) {
+      throw new Error('A password of at least 8 characters is required for a new user');
+    }
+    user = new User({ username });
+  }
+
+  if (password) {
+    await user.setPassword(password);
+  }
+
+  user.role = 'admin';
+  await user.save();
+
+  console.log(`✅ ${username} is now an admin`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Failed to create admin:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
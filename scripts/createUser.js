@@ -0,0 +1,37 @@
+// Create a user account while public registration is closed; organization admins then invite it.
+// Usage: npm run create-user -- <username> <password>
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+
+dotenv.config();
+
+const [username, password] = process.argv.slice(2);
+
+const run = async () => {
+  if (!username || !password) {
+    throw new Error('Usage: npm run create-user -- <username> <password>');
+  }
+  if (password.length < 8) {
+    throw new Error('A password of at least 8 characters is required');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  if (await User.exists({ username })) {
+    throw new Error(`User ${username} already exists`);
+  }
+
+  const user = new User({ username });
+  await user.setPassword(password);
+  await user.save();
+
+  console.log(`✅ Created user ${username}`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Failed to create user:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
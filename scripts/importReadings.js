@@ -0,0 +1,110 @@
+// Import historical readings from a data logger CSV.
+// Usage: npm run import-readings -- <file.csv> [--product <id>] [--sensor <name>]
+//   [--username <name>] [--map amper=Current,timestamp=Time] [--timezone Europe/Istanbul]
+//   [--delimiter ";"] [--batch-size 1000] [--report rejected.json] [--dry-run]
+import fs from 'fs';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { importReadingsCsv } from '../services/csvImport.js';
+
+dotenv.config();
+
+const USAGE =
+  'Usage: npm run import-readings -- <file.csv> [--product <id>] [--sensor <name>] [--username <name>] ' +
+  '[--map field=column,...] [--timezone <iana>] [--delimiter <char>] [--batch-size <n>] [--report <file>] [--dry-run]';
+
+// Rejected rows printed to the console; the full list goes to --report
+const MAX_PRINTED_REJECTIONS = 20;
+
+const parseOptions = () =>
+  parseArgs({
+    allowPositionals: true,
+    options: {
+      product: { type: 'string' },
+      sensor: { type: 'string' },
+      username: { type: 'string' },
+      map: { type: 'string' },
+      timezone: { type: 'string', default: 'UTC' },
+      delimiter: { type: 'string', default: ',' },
+      'batch-size': { type: 'string', default: '1000' },
+      report: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+// "amper=Current (A),timestamp=Time" -> { amper: 'Current (A)', timestamp: 'Time' }
+const parseMapping = value => {
+  if (!value) return {};
+
+  return Object.fromEntries(
+    value.split(',').map(pair => {
+      const [field, ...column] = pair.split('=');
+      if (!field || column.length === 0) {
+        throw new Error(`Invalid --map entry '${pair}' (expected field=column)`);
+      }
+      return [field.trim(), column.join('=').trim()];
+    })
+  );
+};
+
+const run = async () => {
+  const { values: options, positionals } = parseOptions();
+  const [file] = positionals;
+  if (!file) {
+    throw new Error(USAGE);
+  }
+
+  const batchSize = Number(options['batch-size']);
+  if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > 10000) {
+    throw new Error('--batch-size must be an integer between 1 and 10000');
+  }
+
+  if (options.delimiter.length !== 1) {
+    throw new Error('--delimiter must be a single character');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const report = await importReadingsCsv(fs.createReadStream(file), {
+    mapping: parseMapping(options.map),
+    defaults: { productId: options.product, sensor: options.sensor, username: options.username },
+    timezone: options.timezone,
+    delimiter: options.delimiter,
+    batchSize,
+    dryRun: options['dry-run'],
+    onProgress: progress => console.log(`📥 ${progress.rows} rows processed...`)
+  });
+
+  console.log(`${options['dry-run'] ? '🔎 Dry run' : '✅ Import finished'}: ${report.rows} rows`);
+  if (options['dry-run']) {
+    console.log(`   would insert: ${report.wouldInsert}`);
+  } else {
+    console.log(`   inserted:   ${report.inserted}`);
+  }
+  console.log(`   duplicates: ${report.duplicates}`);
+  console.log(`   rejected:   ${report.rejected.length}`);
+
+  report.registeredSensors.forEach(({ productId, sensor }) => {
+    console.log(`🆕 Auto-registered sensor '${sensor}' on product ${productId}`);
+  });
+
+  report.rejected.slice(0, MAX_PRINTED_REJECTIONS).forEach(({ line, message }) => {
+    console.log(`   line ${line}: ${message}`);
+  });
+  if (report.rejected.length > MAX_PRINTED_REJECTIONS && !options.report) {
+    console.log('   ... use --report <file> to save every rejected row');
+  }
+
+  if (options.report) {
+    fs.writeFileSync(options.report, `${JSON.stringify(report, null, 2)}\n`);
+    console.log(`📝 Report written to ${options.report}`);
+  }
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
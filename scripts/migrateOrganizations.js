@@ -0,0 +1,52 @@
+// Move data from before organizations existed into one organization: products without an
+// organization are assigned to it and users without a membership join it (admins as admins).
+// Usage: npm run migrate-organizations -- --name "My Company"
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+
+dotenv.config();
+
+const run = async () => {
+  const { values: options } = parseArgs({
+    options: {
+      name: { type: 'string' }
+    }
+  });
+
+  const name = options.name?.trim();
+  if (!name) {
+    throw new Error('Usage: npm run migrate-organizations -- --name <organization name>');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const organization =
+    (await Organization.findOne({ name })) || new Organization({ name, members: [] });
+
+  const products = await Product.updateMany(
+    { organization: null },
+    { $set: { organization: organization._id } }
+  );
+
+  const memberIds = await Organization.distinct('members.user');
+  const users = await User.find({ _id: { $nin: memberIds } }).select('_id role');
+  users.forEach(user => {
+    organization.members.push({ user: user._id, role: user.role === 'admin' ? 'admin' : 'member' });
+  });
+  await organization.save();
+
+  console.log(`✅ Organization "${name}" (${organization._id})`);
+  console.log(`   products assigned: ${products.modifiedCount}`);
+  console.log(`   users added:       ${users.length}`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
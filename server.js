@@ -5,6 +5,21 @@ import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import connectDB from './config/database.js';
 import apiRoutes from './routes/api.js';
+import authRoutes from './routes/auth.js';
+import deviceKeyRoutes from './routes/deviceKeys.js';
+import deviceRoutes from './routes/devices.js';
+import productRoutes from './routes/products.js';
+import alertRoutes from './routes/alerts.js';
+import anomalyRoutes from './routes/anomalies.js';
+import streamRoutes from './routes/stream.js';
+import exportRoutes from './routes/exports.js';
+import organizationRoutes from './routes/organizations.js';
+import privacyRoutes from './routes/privacy.js';
+import { startAlertMonitor } from './services/alerts.js';
+import { startAnomalyDetector } from './services/anomalies.js';
+import { startMqttGateway, stopMqttGateway } from './services/mqttGateway.js';
+import { startRetentionJob } from './services/retention.js';
+import { startRollupUpdater } from './services/rollups.js';
 
 // Load environment variables
 dotenv.config();
@@ -15,6 +30,28 @@ const app = express();
 // Connect to MongoDB
 connectDB();
 
+// Evaluate alert rules on ingestion and run no-data checks / webhook retries
+startAlertMonitor();
+
+// Score new readings against each series' hourly baseline
+startAnomalyDetector();
+
+// Keep the hourly / daily rollups behind the summary endpoints up to date
+startRollupUpdater();
+
+// Archive and delete readings past each product's retention period
+startRetentionJob();
+
+// Optional MQTT ingestion (enabled by MQTT_URL)
+startMqttGateway();
+
+// Behind a reverse proxy (e.g. Render) req.ip must come from X-Forwarded-For, which the
+// rate limiter and the device registry rely on. TRUST_PROXY is a hop count or an address list.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -23,7 +60,14 @@ app.use(
   cors({
     origin: '*', // In production, specify your mobile app's domain
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: [
+      'Content-Type',
+      'Authorization',
+      'X-API-Key',
+      'Last-Event-ID',
+      'Idempotency-Key',
+      'X-Organization-Id'
+    ]
   })
 );
 
@@ -52,7 +96,17 @@ app.use((req, res, next) => {
 });
 
 // API routes
+app.use('/api', authRoutes);
+app.use('/api', organizationRoutes);
 app.use('/api', apiRoutes);
+app.use('/api', productRoutes);
+app.use('/api', deviceKeyRoutes);
+app.use('/api', deviceRoutes);
+app.use('/api', alertRoutes);
+app.use('/api', anomalyRoutes);
+app.use('/api', streamRoutes);
+app.use('/api', exportRoutes);
+app.use('/api', privacyRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -62,7 +116,10 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/api/health',
+      register: '/api/auth/register',
+      login: '/api/auth/login',
       postData: '/api/data',
+      postBatch: '/api/data/batch',
       userStats: '/api/user/:username/stats',
       userRecent: '/api/user/:username/recent'
     }
@@ -99,6 +156,7 @@ const server = app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  stopMqttGateway();
   server.close(() => {
     console.log('Process terminated');
   });
@@ -0,0 +1,190 @@
+import Alert from '../models/Alert.js';
+import AlertRule from '../models/AlertRule.js';
+import AmperReading from '../models/AmperReading.js';
+import readingEvents from './readingEvents.js';
+import { enqueueAlertWebhooks, processPendingDeliveries } from './webhooks.js';
+
+// Read at call time: services are imported before server.js loads .env
+const checkIntervalMs = () => parseInt(process.env.ALERT_CHECK_INTERVAL_MS) || 60 * 1000;
+
+const describeViolation = (rule, amper) =>
+  `${rule.name}: ${amper}A is ${rule.type === 'over' ? 'above' : 'below'} ${rule.threshold}A`;
+
+const openAlert = async (alert, rule, openedAt) => {
+  alert.status = 'open';
+  alert.openedAt = openedAt;
+  await alert.save();
+  await enqueueAlertWebhooks('alert.opened', alert, rule);
+};
+
+const resolveAlert = async (alert, rule, resolvedAt, lastValue = alert.lastValue) => {
+  alert.status = 'resolved';
+  alert.active = false;
+  alert.resolvedAt = resolvedAt;
+  alert.lastValue = lastValue;
+  await alert.save();
+  await enqueueAlertWebhooks('alert.resolved', alert, rule);
+};
+
+// Insert a new active alert; a concurrent insert for the same series wins the unique index
+const createAlert = async fields => {
+  try {
+    return await Alert.create(fields);
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// over / under rules: pending -> open once the condition held for durationSeconds,
+// resolved by the first reading that no longer violates the threshold
+const applyThresholdRule = async (rule, reading) => {
+  const time = AmperReading.readingTime(reading);
+  const series = { rule: rule._id, username: reading.username, sensor: reading.sensor || null };
+  const active = await Alert.findOne({ ...series, active: true });
+
+  if (rule.isViolatedBy(reading.amper)) {
+    if (!active) {
+      const sustained = rule.durationSeconds === 0;
+      const alert = await createAlert({
+        ...series,
+        product: rule.product,
+        status: 'pending',
+        message: describeViolation(rule, reading.amper),
+        conditionSince: time,
+        triggerValue: reading.amper,
+        lastValue: reading.amper
+      });
+
+      if (alert && sustained) {
+        await openAlert(alert, rule, time);
+      }
+      return;
+    }
+
+    active.lastValue = reading.amper;
+
+    if (
+      active.status === 'pending' &&
+      time.getTime() - active.conditionSince.getTime() >= rule.durationSeconds * 1000
+    ) {
+      active.message = describeViolation(rule, reading.amper);
+      await openAlert(active, rule, time);
+    } else {
+      await active.save();
+    }
+    return;
+  }
+
+  if (!active) return;
+
+  if (active.status === 'pending') {
+    await active.deleteOne();
+  } else {
+    await resolveAlert(active, rule, time, reading.amper);
+  }
+};
+
+// no_data rules are opened by checkNoDataRules and resolved by any matching reading
+const resolveNoDataRule = async (rule, reading) => {
+  const active = await Alert.findOne({
+    rule: rule._id,
+    username: rule.username || null,
+    sensor: rule.sensor || null,
+    active: true
+  });
+
+  if (active) {
+    await resolveAlert(active, rule, AmperReading.readingTime(reading), reading.amper);
+  }
+};
+
+// Evaluate the product's enabled rules against newly saved readings, in measured-time order
+const evaluateReadings = async ({ product, readings }) => {
+  const rules = await AlertRule.find({ product: product._id, enabled: true });
+  if (rules.length === 0) return;
+
+  const ordered = [...readings].sort(
+    (a, b) => AmperReading.readingTime(a) - AmperReading.readingTime(b)
+  );
+
+  for (const reading of ordered) {
+    for (const rule of rules) {
+      if (!rule.appliesTo(reading)) continue;
+
+      if (rule.type === 'no_data') {
+        await resolveNoDataRule(rule, reading);
+      } else {
+        await applyThresholdRule(rule, reading);
+      }
+    }
+  }
+};
+
+// Open alerts for no_data rules whose scope has been silent for noDataMinutes
+const checkNoDataRules = async (now = new Date()) => {
+  const rules = await AlertRule.find({ type: 'no_data', enabled: true });
+
+  for (const rule of rules) {
+    const filter = { product: rule.product };
+    if (rule.sensor) filter.sensor = rule.sensor;
+    if (rule.username) filter.username = rule.username;
+
+    const lastReading = await AmperReading.findOne(filter)
+      .select('measuredAt createdAt amper')
+      .sort(AmperReading.MEASURED_TIME_SORT)
+      .lean();
+
+    const lastSeen = lastReading ? AmperReading.readingTime(lastReading) : rule.createdAt;
+    const silentMs = now.getTime() - lastSeen.getTime();
+
+    if (silentMs < rule.noDataMinutes * 60 * 1000) continue;
+
+    const alert = await createAlert({
+      rule: rule._id,
+      product: rule.product,
+      username: rule.username || null,
+      sensor: rule.sensor || null,
+      status: 'pending',
+      message: `${rule.name}: no data for ${Math.floor(silentMs / 60000)} minutes`,
+      conditionSince: lastSeen,
+      lastValue: lastReading ? lastReading.amper : null
+    });
+
+    if (alert) {
+      await openAlert(alert, rule, now);
+    }
+  }
+};
+
+let monitorTimer = null;
+let tickRunning = false;
+
+// Subscribe to ingestion and periodically check no-data rules and webhook retries
+const startAlertMonitor = () => {
+  if (monitorTimer) return;
+
+  readingEvents.on('saved', payload => {
+    evaluateReadings(payload).catch(error => {
+      console.error('Error evaluating alert rules:', error);
+    });
+  });
+
+  monitorTimer = setInterval(async () => {
+    if (tickRunning) return;
+    tickRunning = true;
+
+    try {
+      await checkNoDataRules();
+      await processPendingDeliveries();
+    } catch (error) {
+      console.error('Error in alert monitor:', error);
+    } finally {
+      tickRunning = false;
+    }
+  }, checkIntervalMs());
+
+  monitorTimer.unref();
+};
+
+export { checkNoDataRules, evaluateReadings, startAlertMonitor };
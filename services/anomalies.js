@@ -0,0 +1,222 @@
+import mongoose from 'mongoose';
+import Anomaly from '../models/Anomaly.js';
+import AmperReading from '../models/AmperReading.js';
+import readingEvents from './readingEvents.js';
+
+// Settings are read at call time: services are imported before server.js loads .env
+const baselineDays = () => Number(process.env.ANOMALY_BASELINE_DAYS) || 28;
+const BASELINE_TTL_MS = 6 * 60 * 60 * 1000;
+// Least recently used series are dropped beyond this many cached baselines
+const maxCachedBaselines = () => Number(process.env.ANOMALY_BASELINE_CACHE_SIZE) || 5000;
+// Hours of day with fewer readings than this are not scored
+const minSamples = () => Number(process.env.ANOMALY_MIN_SAMPLES) || 30;
+// Readings below this are treated as "appliance off" and neither learned nor scored, so
+// on/off cycling loads (fridge compressors) are compared against their running current
+const idleAmper = () => Number(process.env.ANOMALY_IDLE_AMPER) || 0.05;
+// Flagged readings closer than this to an open episode extend it
+const EPISODE_GAP_MS = 10 * 60 * 1000;
+
+// seriesKey -> { baseline, computedAt } or { promise } while the aggregation runs. Map order
+// is recency of use: entries are re-inserted when read, so the first key is the LRU one.
+const baselines = new Map();
+const hourFormatters = new Map();
+
+const seriesKey = (productId, sensor, username) => `${productId}|${sensor ?? ''}|${username}`;
+
+const baselineTimezone = product => product.tariff?.timezone || 'UTC';
+
+const hourOfDay = (date, timezone) => {
+  if (!hourFormatters.has(timezone)) {
+    hourFormatters.set(
+      timezone,
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone, hour: '2-digit', hourCycle: 'h23' })
+    );
+  }
+  return Number(hourFormatters.get(timezone).format(date));
+};
+
+// Mean / sample std of running current per local hour of day over the last baselineDays()
+const computeBaseline = async (product, sensor, username) => {
+  const timezone = baselineTimezone(product);
+  const since = new Date(Date.now() - baselineDays() * 24 * 60 * 60 * 1000);
+
+  const rows = await AmperReading.aggregate([
+    {
+      $match: {
+        product: new mongoose.Types.ObjectId(product._id),
+        sensor: sensor ?? null,
+        username,
+        amper: { $gte: idleAmper() },
+        ...AmperReading.measuredTimeFilter(since)
+      }
+    },
+    {
+      $group: {
+        _id: { $hour: { date: { $ifNull: ['$measuredAt', '$createdAt'] }, timezone } },
+        count: { $sum: 1 },
+        mean: { $avg: '$amper' },
+        std: { $stdDevSamp: '$amper' }
+      }
+    }
+  ]);
+
+  const hours = Array.from({ length: 24 }, () => null);
+  rows.forEach(row => {
+    hours[row._id] = { count: row.count, mean: row.mean, std: row.std || 0 };
+  });
+
+  return { timezone, hours };
+};
+
+const cacheBaseline = (key, entry) => {
+  baselines.delete(key);
+  baselines.set(key, entry);
+
+  while (baselines.size > maxCachedBaselines()) {
+    baselines.delete(baselines.keys().next().value);
+  }
+};
+
+/**
+ * Hourly baseline for one product/sensor/user series, cached for BASELINE_TTL_MS and evicted
+ * once expired or least recently used. Concurrent callers share one aggregation.
+ */
+const getBaseline = (product, sensor, username) => {
+  const key = seriesKey(product._id, sensor, username);
+  const cached = baselines.get(key);
+
+  if (cached?.promise) return cached.promise;
+  if (cached && Date.now() - cached.computedAt < BASELINE_TTL_MS) {
+    cacheBaseline(key, cached);
+    return Promise.resolve(cached.baseline);
+  }
+
+  const promise = computeBaseline(product, sensor, username)
+    .then(baseline => {
+      // Not when the entry was evicted or forgotten meanwhile
+      if (baselines.get(key)?.promise === promise) {
+        cacheBaseline(key, { baseline, computedAt: Date.now() });
+      }
+      return baseline;
+    })
+    .catch(error => {
+      if (baselines.get(key)?.promise === promise) baselines.delete(key);
+      throw error;
+    });
+  cacheBaseline(key, { promise });
+
+  return promise;
+};
+
+// Drop a user's cached baselines, e.g. after their readings were erased
+const forgetBaselines = username => {
+  for (const key of baselines.keys()) {
+    if (key.endsWith(`|${username}`)) baselines.delete(key);
+  }
+};
+
+/**
+ * Score a reading against its series baseline. Returns null when the sensor has detection
+ * disabled, the appliance is idle or the hour has too little history; otherwise
+ * { flagged, zScore, change, expected, std, hour, direction }.
+ */
+const scoreReading = async (reading, product) => {
+  const settings = product.getSensorSettings(reading.sensor);
+  if (!settings.anomalyDetection || reading.amper < idleAmper()) return null;
+
+  const baseline = await getBaseline(product, reading.sensor, reading.username);
+  const hour = hourOfDay(AmperReading.readingTime(reading), baseline.timezone);
+  const bucket = baseline.hours[hour];
+  if (!bucket || bucket.count < minSamples()) return null;
+
+  // A very steady history would make any wobble look extreme; keep std at 5% of the mean or more
+  const std = Math.max(bucket.std, bucket.mean * 0.05, 0.01);
+  const zScore = (reading.amper - bucket.mean) / std;
+  const change = (reading.amper - bucket.mean) / bucket.mean;
+
+  return {
+    flagged:
+      Math.abs(zScore) >= settings.anomalyZScore && Math.abs(change) >= settings.anomalyMinChange,
+    zScore,
+    change,
+    expected: bucket.mean,
+    std,
+    hour,
+    direction: zScore > 0 ? 'high' : 'low',
+    settings
+  };
+};
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// Open a new episode or extend the series' recent one in the same direction
+const recordAnomaly = async (reading, product, score) => {
+  const at = AmperReading.readingTime(reading);
+  const peak = {
+    peakAmper: reading.amper,
+    peakZScore: round(score.zScore, 2),
+    expectedAmper: round(score.expected, 3),
+    baselineStd: round(score.std, 3),
+    hourOfDay: score.hour,
+    change: round(score.change, 3)
+  };
+
+  const episode = await Anomaly.findOne({
+    product: product._id,
+    sensor: reading.sensor ?? null,
+    username: reading.username,
+    direction: score.direction,
+    lastAt: { $gte: new Date(at.getTime() - EPISODE_GAP_MS) }
+  }).sort({ lastAt: -1 });
+
+  if (episode) {
+    episode.readings += 1;
+    if (at > episode.lastAt) episode.lastAt = at;
+    if (Math.abs(score.zScore) > Math.abs(episode.peakZScore)) episode.set(peak);
+    await episode.save();
+    return episode;
+  }
+
+  console.warn(
+    `🔍 Anomaly on product ${product._id} (${reading.sensor || 'no sensor'}, ${reading.username}): ` +
+      `${reading.amper}A vs usual ${peak.expectedAmper}A`
+  );
+
+  return Anomaly.create({
+    ...peak,
+    product: product._id,
+    sensor: reading.sensor ?? null,
+    username: reading.username,
+    direction: score.direction,
+    firstReading: reading._id,
+    startedAt: at,
+    lastAt: at,
+    zScoreThreshold: score.settings.anomalyZScore,
+    minChange: score.settings.anomalyMinChange
+  });
+};
+
+// Readings of one 'saved' event are scored in order so episodes grow predictably
+const detectAnomalies = async ({ product, readings }) => {
+  for (const reading of readings) {
+    const score = await scoreReading(reading, product);
+    if (score?.flagged) {
+      await recordAnomaly(reading, product, score);
+    }
+  }
+};
+
+let detectorStarted = false;
+
+const startAnomalyDetector = () => {
+  if (detectorStarted) return;
+  detectorStarted = true;
+
+  readingEvents.on('saved', payload => {
+    detectAnomalies(payload).catch(error => {
+      console.error('Error detecting anomalies:', error);
+    });
+  });
+};
+
+export { detectAnomalies, forgetBaselines, getBaseline, scoreReading, startAnomalyDetector };
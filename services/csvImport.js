@@ -0,0 +1,338 @@
+import readline from 'readline';
+import AmperReading from '../models/AmperReading.js';
+import Product from '../models/Product.js';
+import { checkAmperData, checkMeasuredAt } from '../middleware/validation.js';
+import { createOffsetLookup } from './export.js';
+import { addToRollups } from './rollups.js';
+
+const IMPORT_FIELDS = ['username', 'amper', 'productId', 'sensor', 'timestamp'];
+
+// Header names recognised without an explicit mapping
+const FIELD_ALIASES = {
+  productId: ['productId', 'product'],
+  timestamp: ['timestamp', 'measuredAt']
+};
+
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/;
+
+// Split one CSV record (RFC 4180 quoting). The caller makes sure quotes are balanced.
+const splitRecord = (record, delimiter) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < record.length; i++) {
+    const char = record[i];
+
+    if (quoted) {
+      if (char === '"' && record[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields.map(value => value.trim());
+};
+
+// Yields { line, fields } per record; quoted fields may span several physical lines
+async function* readRecords(input, delimiter) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let lineNumber = 0;
+  let pending = null;
+
+  for await (const line of lines) {
+    lineNumber++;
+
+    if (pending) {
+      pending.text += `\n${line}`;
+    } else {
+      pending = { line: lineNumber, text: lineNumber === 1 ? line.replace(/^\uFEFF/, '') : line };
+    }
+
+    // An odd number of quotes means a quoted field continues on the next line
+    if ((pending.text.match(/"/g) || []).length % 2 === 1) continue;
+
+    if (pending.text.trim().length > 0) {
+      yield { line: pending.line, fields: splitRecord(pending.text, delimiter) };
+    }
+    pending = null;
+  }
+
+  if (pending) {
+    yield { line: pending.line, error: 'Unterminated quoted field' };
+  }
+}
+
+// Resolve each field to a column index from the header row
+const resolveColumns = (header, mapping) => {
+  const columns = {};
+
+  for (const field of IMPORT_FIELDS) {
+    const candidates = mapping[field] ? [mapping[field]] : FIELD_ALIASES[field] || [field];
+    const index = header.findIndex(name => candidates.includes(name));
+
+    if (mapping[field] && index === -1) {
+      throw new Error(`Column '${mapping[field]}' (mapped to ${field}) not found in CSV header`);
+    }
+    if (index !== -1) columns[field] = index;
+  }
+
+  return columns;
+};
+
+// ISO strings with an offset, epoch seconds/milliseconds, or a local date-time in `timezone`
+const createTimestampParser = timezone => {
+  const offsetAt = createOffsetLookup(timezone);
+
+  return raw => {
+    if (/^\d{10}$/.test(raw)) return new Date(Number(raw) * 1000);
+    if (/^\d{13}$/.test(raw)) return new Date(Number(raw));
+
+    const local = LOCAL_DATE_TIME.exec(raw);
+    if (!local) return new Date(raw);
+
+    const [, year, month, day, hour, minute, second = '0', millis = '0'] = local;
+    const wallClock = Date.UTC(
+      Number(year),
+      Number(month) - 1,
+      Number(day),
+      Number(hour),
+      Number(minute),
+      Number(second),
+      Number(millis.padEnd(3, '0'))
+    );
+
+    // The offset at the guessed instant can differ around DST changes; re-check once
+    const guess = wallClock - offsetAt(wallClock);
+    return new Date(wallClock - offsetAt(guess));
+  };
+};
+
+const dedupeKey = reading =>
+  `${reading.product}|${reading.username}|${reading.sensor || ''}|${reading.measuredAt.getTime()}`;
+
+// Keys of readings that already exist for the batch's products, users and time span
+const findExistingKeys = async batch => {
+  const times = batch.map(item => item.reading.measuredAt.getTime());
+  const existing = await AmperReading.find({
+    product: { $in: [...new Set(batch.map(item => item.reading.product))] },
+    username: { $in: [...new Set(batch.map(item => item.reading.username))] },
+    measuredAt: { $gte: new Date(Math.min(...times)), $lte: new Date(Math.max(...times)) }
+  })
+    .select('product username sensor measuredAt')
+    .lean();
+
+  return new Set(existing.map(dedupeKey));
+};
+
+// Unordered insert: a failing row does not stop the others. Returns the stored documents and,
+// when some rows failed, the bulk write error describing them.
+const insertReadings = async docs => {
+  try {
+    return { inserted: await AmperReading.insertMany(docs, { ordered: false }), failure: null };
+  } catch (error) {
+    if (!Array.isArray(error.insertedDocs)) throw error;
+    return { inserted: error.insertedDocs, failure: error };
+  }
+};
+
+/**
+ * Import historical readings from a CSV stream.
+ *
+ * Rows go through checkAmperData / checkMeasuredAt and the product's sensor checks, rows that
+ * match an existing reading (product, username, sensor, measured time) are skipped, and the
+ * rest are inserted in batches. Imported readings do not trigger alerts or the live stream.
+ * A dry run writes nothing and counts the rows it would insert as wouldInsert.
+ *
+ * Returns { rows, inserted, wouldInsert, duplicates, rejected: [{ line, message }],
+ * registeredSensors }.
+ */
+const importReadingsCsv = async (
+  input,
+  {
+    mapping = {},
+    defaults = {},
+    timezone = 'UTC',
+    delimiter = ',',
+    batchSize = 1000,
+    dryRun = false,
+    onProgress
+  } = {}
+) => {
+  const parseTimestamp = createTimestampParser(timezone);
+  const products = new Map();
+  const report = {
+    rows: 0,
+    inserted: 0,
+    wouldInsert: 0,
+    duplicates: 0,
+    rejected: [],
+    registeredSensors: []
+  };
+
+  let columns = null;
+  let batch = [];
+
+  const reject = (line, message) => report.rejected.push({ line, message });
+
+  const getProduct = async productId => {
+    if (!products.has(productId)) {
+      products.set(productId, await Product.findById(productId));
+    }
+    return products.get(productId);
+  };
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+
+    const existing = await findExistingKeys(batch);
+    const items = [];
+
+    for (const item of batch) {
+      const key = dedupeKey(item.reading);
+      if (existing.has(key)) {
+        report.duplicates++;
+        continue;
+      }
+      existing.add(key);
+      items.push(item);
+    }
+    batch = [];
+
+    if (dryRun) {
+      report.wouldInsert += items.length;
+    } else if (items.length > 0) {
+      const { inserted, failure } = await insertReadings(items.map(item => item.reading));
+
+      // Imports bypass readingEvents (no alerts or anomalies for history) but still count in
+      // stats. Only what was stored goes into the rollups, also when part of the batch failed.
+      await addToRollups(inserted, [...products.values()].filter(Boolean));
+      report.inserted += inserted.length;
+
+      if (failure) {
+        // Without per-row errors it is unknown what was stored; stop rather than guess
+        if (!failure.writeErrors?.length) throw failure;
+
+        failure.writeErrors.forEach(writeError => {
+          const cause = writeError.err || writeError;
+          if (cause.code === 11000) {
+            report.duplicates++;
+          } else {
+            reject(items[writeError.index].line, cause.errmsg || 'Reading could not be stored');
+          }
+        });
+      }
+    }
+
+    if (onProgress) onProgress(report);
+  };
+
+  for await (const record of readRecords(input, delimiter)) {
+    if (record.error) {
+      reject(record.line, record.error);
+      continue;
+    }
+
+    if (!columns) {
+      columns = resolveColumns(record.fields, mapping);
+
+      const missing = ['amper', 'timestamp'].filter(field => columns[field] === undefined);
+      if (columns.username === undefined && !defaults.username) missing.push('username');
+      if (columns.productId === undefined && !defaults.productId) missing.push('productId');
+      if (missing.length > 0) {
+        throw new Error(`CSV is missing columns for: ${missing.join(', ')}`);
+      }
+      continue;
+    }
+
+    report.rows++;
+    const cell = field => (columns[field] === undefined ? '' : record.fields[columns[field]] || '');
+
+    // Data loggers with ';' separators usually write decimal commas
+    const amperCell = cell('amper');
+    const data = {
+      username: cell('username') || defaults.username,
+      amper: /^\d+,\d+$/.test(amperCell) ? amperCell.replace(',', '.') : amperCell || undefined,
+      productId: cell('productId') || defaults.productId,
+      sensor: cell('sensor') || defaults.sensor || undefined
+    };
+
+    const { error, value } = checkAmperData(data);
+    if (error) {
+      reject(record.line, error);
+      continue;
+    }
+
+    const rawTimestamp = cell('timestamp');
+    if (!rawTimestamp) {
+      reject(record.line, 'Timestamp is required');
+      continue;
+    }
+
+    const timestamp = parseTimestamp(rawTimestamp);
+    const measured = isNaN(timestamp.getTime())
+      ? { error: 'Timestamp must be a valid date' }
+      : checkMeasuredAt(timestamp.toISOString(), { buffered: true });
+    if (measured.error) {
+      reject(record.line, measured.error);
+      continue;
+    }
+
+    const product = await getProduct(value.productId);
+    if (!product) {
+      reject(record.line, 'Invalid product ID - product not found');
+      continue;
+    }
+
+    const check = product.checkReading(value);
+    if (check.error) {
+      reject(record.line, check.error);
+      continue;
+    }
+
+    if (check.value.registerSensor) {
+      if (!dryRun) {
+        await Product.updateOne({ _id: product._id }, { $addToSet: { sensors: value.sensor } });
+      }
+      product.sensors.push(value.sensor);
+      report.registeredSensors.push({ productId: value.productId, sensor: value.sensor });
+    }
+
+    batch.push({
+      line: record.line,
+      reading: {
+        username: value.username,
+        amper: value.amper,
+        product: value.productId,
+        sensor: value.sensor,
+        measuredAt: measured.value
+      }
+    });
+
+    if (batch.length >= batchSize) {
+      await flush();
+    }
+  }
+
+  if (!columns) {
+    throw new Error('CSV file is empty');
+  }
+
+  await flush();
+  return report;
+};
+
+export { importReadingsCsv };
@@ -0,0 +1,139 @@
+import AmperReading from '../models/AmperReading.js';
+import { createOffsetLookup } from './export.js';
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+const emptyDay = date => ({
+  date,
+  onMs: 0,
+  observedMs: 0,
+  cycles: 0,
+  longestRunMs: 0
+});
+
+/**
+ * Split one sensor's reading series into on/off sessions and per-day duty-cycle stats.
+ *
+ * The appliance switches on at the first reading >= onAmper and off at the first reading
+ * < offAmper. Time between two readings more than maxGapSeconds apart is unknown: it ends a
+ * running session (endReason 'gap') and does not count as observed time. Intervals are
+ * attributed to the local day (in `timezone`) they start in; a session counts as a cycle and
+ * a run on the day it started.
+ */
+const detectCycles = async ({
+  match,
+  onAmper,
+  offAmper,
+  maxGapSeconds = 300,
+  timezone = 'UTC',
+  maxSessions = 1000
+}) => {
+  const maxGapMs = maxGapSeconds * 1000;
+  const offsetAt = createOffsetLookup(timezone);
+  const dayOf = ms => new Date(ms + offsetAt(ms)).toISOString().slice(0, 10);
+
+  const days = new Map();
+  const dayStats = ms => {
+    const key = dayOf(ms);
+    if (!days.has(key)) days.set(key, emptyDay(key));
+    return days.get(key);
+  };
+
+  const sessions = [];
+  let sessionCount = 0;
+  let current = null;
+  let previous = null;
+
+  const closeSession = (endMs, endReason) => {
+    const durationMs = endMs - current.startMs;
+    const day = dayStats(current.startMs);
+    day.cycles++;
+    day.longestRunMs = Math.max(day.longestRunMs, durationMs);
+    sessionCount++;
+
+    if (sessions.length < maxSessions) {
+      sessions.push({
+        start: new Date(current.startMs).toISOString(),
+        end: new Date(endMs).toISOString(),
+        durationSeconds: Math.round(durationMs / 1000),
+        avgAmper: round(current.sum / current.readings, 3),
+        peakAmper: current.peak,
+        readings: current.readings,
+        endReason
+      });
+    }
+    current = null;
+  };
+
+  const cursor = AmperReading.aggregate([
+    { $match: match },
+    { $project: { amper: 1, readingTime: { $ifNull: ['$measuredAt', '$createdAt'] } } },
+    { $sort: { readingTime: 1 } }
+  ])
+    .allowDiskUse(true)
+    .cursor();
+
+  for await (const reading of cursor) {
+    const timeMs = reading.readingTime.getTime();
+
+    if (previous) {
+      const intervalMs = timeMs - previous.timeMs;
+
+      if (intervalMs > maxGapMs) {
+        if (current) closeSession(previous.timeMs, 'gap');
+      } else {
+        const day = dayStats(previous.timeMs);
+        day.observedMs += intervalMs;
+        if (current) day.onMs += intervalMs;
+      }
+    }
+
+    if (current) {
+      if (reading.amper < offAmper) {
+        closeSession(timeMs, 'off');
+      } else {
+        current.readings++;
+        current.sum += reading.amper;
+        current.peak = Math.max(current.peak, reading.amper);
+      }
+    } else if (reading.amper >= onAmper) {
+      current = { startMs: timeMs, readings: 1, sum: reading.amper, peak: reading.amper };
+    }
+
+    previous = { timeMs };
+  }
+
+  // Still running at the end of the data
+  if (current) closeSession(previous.timeMs, 'ongoing');
+
+  const dayList = [...days.values()]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(day => ({
+      date: day.date,
+      cycles: day.cycles,
+      onSeconds: Math.round(day.onMs / 1000),
+      observedSeconds: Math.round(day.observedMs / 1000),
+      dutyCycle: day.observedMs > 0 ? round(day.onMs / day.observedMs, 4) : null,
+      longestRunSeconds: Math.round(day.longestRunMs / 1000)
+    }));
+
+  const onMs = [...days.values()].reduce((sum, day) => sum + day.onMs, 0);
+  const observedMs = [...days.values()].reduce((sum, day) => sum + day.observedMs, 0);
+
+  return {
+    thresholds: { onAmper, offAmper, maxGapSeconds },
+    timezone,
+    totals: {
+      cycles: sessionCount,
+      onSeconds: Math.round(onMs / 1000),
+      observedSeconds: Math.round(observedMs / 1000),
+      dutyCycle: observedMs > 0 ? round(onMs / observedMs, 4) : null,
+      longestRunSeconds: Math.round(Math.max(0, ...dayList.map(day => day.longestRunSeconds)))
+    },
+    days: dayList,
+    sessions,
+    sessionsTruncated: sessionCount > sessions.length
+  };
+};
+
+export { detectCycles };
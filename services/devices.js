@@ -0,0 +1,89 @@
+import Device from '../models/Device.js';
+
+// A device is offline once nothing (reading or heartbeat) arrived for this long
+const offlineAfterMs = () => (Number(process.env.DEVICE_OFFLINE_AFTER_SECONDS) || 300) * 1000;
+
+// Devices that send no deviceId are tracked by the device key they authenticate with
+const resolveDeviceId = (deviceId, deviceKey) => {
+  if (deviceId) return deviceId;
+  return deviceKey ? `key-${deviceKey._id}` : null;
+};
+
+/**
+ * Upsert a device after a reading, batch or heartbeat. `kind` is 'reading' or 'heartbeat'.
+ * Fields the device did not report (firmware, IP, ...) keep their previous value.
+ */
+const recordDeviceActivity = async ({
+  deviceId,
+  productId,
+  sensors = [],
+  usernames = [],
+  firmwareVersion,
+  bootId,
+  ip,
+  kind,
+  at = new Date()
+}) => {
+  const set = { lastSeenAt: at };
+  if (kind === 'reading') set.lastReadingAt = at;
+  if (kind === 'heartbeat') set.lastHeartbeatAt = at;
+  if (firmwareVersion) set.firmwareVersion = firmwareVersion;
+  if (bootId) set.bootId = bootId;
+  if (ip) set.lastIp = ip;
+
+  const update = {
+    $set: set,
+    $addToSet: {
+      sensors: { $each: sensors.filter(Boolean) },
+      usernames: { $each: usernames.filter(Boolean) }
+    }
+  };
+
+  // Keyed by product too, so a key of another product cannot take the device over
+  const filter = { product: productId, deviceId };
+
+  try {
+    return await Device.findOneAndUpdate(filter, update, { upsert: true, new: true });
+  } catch (error) {
+    // Two first contacts raced on the unique (product, deviceId); the second is a plain update
+    if (error.code !== 11000) throw error;
+    return Device.findOneAndUpdate(filter, update, { new: true });
+  }
+};
+
+// Same as recordDeviceActivity, for ingestion paths that must not wait for or fail on it
+const touchDevice = activity => {
+  if (!activity.deviceId) return;
+
+  recordDeviceActivity(activity).catch(error => {
+    console.error('Error updating device registry:', error);
+  });
+};
+
+const deviceStatus = (device, now = Date.now()) =>
+  now - new Date(device.lastSeenAt).getTime() <= offlineAfterMs() ? 'online' : 'offline';
+
+const formatDevice = (device, now = Date.now()) => ({
+  deviceId: device.deviceId,
+  productId: device.product.toString(),
+  sensors: device.sensors,
+  usernames: device.usernames,
+  firmwareVersion: device.firmwareVersion,
+  bootId: device.bootId,
+  lastIp: device.lastIp,
+  lastSeenAt: device.lastSeenAt,
+  lastReadingAt: device.lastReadingAt,
+  lastHeartbeatAt: device.lastHeartbeatAt,
+  status: deviceStatus(device, now),
+  silentForSeconds: Math.max(0, Math.round((now - new Date(device.lastSeenAt).getTime()) / 1000)),
+  firstSeenAt: device.createdAt
+});
+
+export {
+  deviceStatus,
+  formatDevice,
+  offlineAfterMs,
+  recordDeviceActivity,
+  resolveDeviceId,
+  touchDevice
+};
@@ -0,0 +1,210 @@
+import AmperReading from '../models/AmperReading.js';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Every UTC offset in use is a multiple of 15 minutes, so local calendar parts
+// are constant within a 15-minute block and can be cached per block.
+const LOCAL_PARTS_BLOCK_MS = 15 * 60 * 1000;
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+const createLocalClock = timezone => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  });
+  const cache = new Map();
+
+  return ms => {
+    const block = Math.floor(ms / LOCAL_PARTS_BLOCK_MS);
+    let parts = cache.get(block);
+
+    if (!parts) {
+      const raw = Object.fromEntries(
+        formatter
+          .formatToParts(new Date(block * LOCAL_PARTS_BLOCK_MS))
+          .map(part => [part.type, part.value])
+      );
+      parts = {
+        year: Number(raw.year),
+        month: Number(raw.month),
+        day: Number(raw.day),
+        hour: Number(raw.hour),
+        weekday: WEEKDAYS.indexOf(raw.weekday)
+      };
+      cache.set(block, parts);
+    }
+
+    return parts;
+  };
+};
+
+const pad = value => String(value).padStart(2, '0');
+
+// Calendar bucket label in local time; weeks are ISO weeks keyed by their Monday
+const periodKey = (parts, groupBy) => {
+  if (groupBy === 'month') {
+    return `${parts.year}-${pad(parts.month)}`;
+  }
+
+  if (groupBy === 'week') {
+    const daysSinceMonday = (parts.weekday + 6) % 7;
+    const monday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day - daysSinceMonday));
+    return monday.toISOString().slice(0, 10);
+  }
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+};
+
+const inPeriodHours = (period, hour) =>
+  period.startHour < period.endHour
+    ? hour >= period.startHour && hour < period.endHour
+    : hour >= period.startHour || hour < period.endHour;
+
+// Price per kWh at a local time, or null when the tariff does not cover it
+const resolveRate = (tariff, parts) => {
+  if (!tariff) return null;
+
+  const period = (tariff.timeOfUse || []).find(
+    entry =>
+      (!entry.days || entry.days.length === 0 || entry.days.includes(parts.weekday)) &&
+      inPeriodHours(entry, parts.hour)
+  );
+
+  if (period) return period.rate;
+  return tariff.flatRate ?? null;
+};
+
+const emptyTotals = () => ({ energyWh: 0, cost: 0, unpricedWh: 0, readings: 0 });
+
+const formatTotals = (totals, hasTariff) => ({
+  energyWh: round(totals.energyWh, 2),
+  energyKWh: round(totals.energyWh / 1000, 3),
+  cost: hasTariff ? round(totals.cost, 2) : null,
+  ...(hasTariff && totals.unpricedWh > 0 && { unpricedKWh: round(totals.unpricedWh / 1000, 3) }),
+  readings: totals.readings
+});
+
+/**
+ * Integrate current readings into energy (and cost) for a product.
+ *
+ * Readings are walked per (username, sensor) series in measured-time order. Each pair of
+ * consecutive samples contributes V * I * PF over the interval (trapezoidal rule); intervals
+ * longer than maxGapSeconds are treated as missing data and only reported as gap time.
+ * Interval energy is attributed to the period and tariff rate at the interval's start.
+ */
+const calculateEnergy = async ({ product, match, groupBy = 'day', maxGapSeconds = 300 }) => {
+  const tariff = product.tariff || null;
+  const hasTariff = Boolean(tariff);
+  const localClock = createLocalClock(tariff?.timezone || 'UTC');
+  const maxGapMs = maxGapSeconds * 1000;
+
+  const totals = emptyTotals();
+  const periods = new Map();
+  const sensors = new Map();
+  let coveredMs = 0;
+  let gapMs = 0;
+
+  const cursor = AmperReading.aggregate([
+    { $match: match },
+    {
+      $project: {
+        username: 1,
+        sensor: 1,
+        amper: 1,
+        readingTime: { $ifNull: ['$measuredAt', '$createdAt'] }
+      }
+    },
+    { $sort: { username: 1, sensor: 1, readingTime: 1 } }
+  ])
+    .allowDiskUse(true)
+    .cursor();
+
+  const periodTotals = key => {
+    if (!periods.has(key)) {
+      periods.set(key, emptyTotals());
+    }
+    return periods.get(key);
+  };
+
+  let previous = null;
+
+  for await (const reading of cursor) {
+    const sensorKey = reading.sensor || null;
+    const timeMs = reading.readingTime.getTime();
+    const parts = localClock(timeMs);
+    const key = periodKey(parts, groupBy);
+
+    if (!sensors.has(sensorKey)) {
+      const { voltage, powerFactor } = product.getSensorSettings(sensorKey);
+      sensors.set(sensorKey, { voltage, powerFactor, totals: emptyTotals() });
+    }
+    const sensorEntry = sensors.get(sensorKey);
+
+    totals.readings++;
+    sensorEntry.totals.readings++;
+    periodTotals(key).readings++;
+
+    const sameSeries =
+      previous && previous.username === reading.username && previous.sensor === sensorKey;
+
+    if (sameSeries) {
+      const intervalMs = timeMs - previous.timeMs;
+
+      if (intervalMs > maxGapMs) {
+        gapMs += intervalMs;
+      } else if (intervalMs > 0) {
+        const avgAmper = (previous.amper + reading.amper) / 2;
+        const energyWh =
+          (sensorEntry.voltage * avgAmper * sensorEntry.powerFactor * intervalMs) / 3600000;
+
+        const rate = resolveRate(tariff, previous.parts);
+        const cost = rate === null ? 0 : (energyWh / 1000) * rate;
+
+        for (const target of [totals, periodTotals(previous.key), sensorEntry.totals]) {
+          target.energyWh += energyWh;
+          target.cost += cost;
+          if (hasTariff && rate === null) target.unpricedWh += energyWh;
+        }
+        coveredMs += intervalMs;
+      }
+    }
+
+    previous = {
+      username: reading.username,
+      sensor: sensorKey,
+      amper: reading.amper,
+      timeMs,
+      parts,
+      key
+    };
+  }
+
+  return {
+    groupBy,
+    currency: tariff?.currency || null,
+    timezone: tariff?.timezone || 'UTC',
+    maxGapSeconds,
+    totals: {
+      ...formatTotals(totals, hasTariff),
+      coveredSeconds: Math.round(coveredMs / 1000),
+      gapSeconds: Math.round(gapMs / 1000)
+    },
+    periods: [...periods.entries()]
+      .sort(([a], [b]) => (a < b ? -1 : 1))
+      .map(([period, periodTotals]) => ({ period, ...formatTotals(periodTotals, hasTariff) })),
+    bySensor: [...sensors.entries()].map(([sensor, entry]) => ({
+      sensor,
+      voltage: entry.voltage,
+      powerFactor: entry.powerFactor,
+      ...formatTotals(entry.totals, hasTariff)
+    }))
+  };
+};
+
+export { calculateEnergy, resolveRate };
@@ -0,0 +1,191 @@
+import AmperReading from '../models/AmperReading.js';
+
+// UTC offsets only change on 15-minute boundaries, so one lookup per block is enough
+const OFFSET_BLOCK_MS = 15 * 60 * 1000;
+
+const pad = value => String(Math.abs(value)).padStart(2, '0');
+
+// Returns ms -> UTC offset (ms) of the timezone at that instant
+const createOffsetLookup = timezone => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  });
+  const offsets = new Map();
+
+  return ms => {
+    const block = Math.floor(ms / OFFSET_BLOCK_MS);
+    let offset = offsets.get(block);
+
+    if (offset === undefined) {
+      const blockStart = block * OFFSET_BLOCK_MS;
+      const parts = Object.fromEntries(
+        formatter.formatToParts(new Date(blockStart)).map(part => [part.type, Number(part.value)])
+      );
+      const localAsUtc = Date.UTC(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        parts.hour,
+        parts.minute,
+        parts.second
+      );
+      offset = localAsUtc - blockStart;
+      offsets.set(block, offset);
+    }
+
+    return offset;
+  };
+};
+
+// ISO 8601 timestamps in the requested timezone, e.g. 2025-07-13T17:30:00.000+03:00
+const createTimestampFormatter = timezone => {
+  if (timezone === 'UTC') {
+    return date => date.toISOString();
+  }
+
+  const offsetAt = createOffsetLookup(timezone);
+
+  return date => {
+    const offset = offsetAt(date.getTime());
+    const minutes = Math.round(offset / 60000);
+    const sign = minutes < 0 ? '-' : '+';
+    const local = new Date(date.getTime() + offset).toISOString().slice(0, -1);
+
+    return `${local}${sign}${pad(Math.trunc(minutes / 60))}:${pad(minutes % 60)}`;
+  };
+};
+
+const columnValue = (reading, column, formatTimestamp) => {
+  switch (column) {
+    case 'id':
+      return reading._id.toString();
+    case 'timestamp':
+      return formatTimestamp(AmperReading.readingTime(reading));
+    case 'createdAt':
+      return formatTimestamp(reading.createdAt);
+    case 'productId':
+      return reading.product.toString();
+    case 'sensor':
+      return reading.sensor ?? null;
+    case 'clockSkewMs':
+      return reading.clockSkewMs ?? null;
+    case 'clockSkewed':
+      return Boolean(reading.clockSkewed);
+    default:
+      return reading[column];
+  }
+};
+
+// RFC 4180 quoting; a leading = + - @ is prefixed so spreadsheets don't evaluate it as a formula
+const csvField = value => {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'string') return String(value);
+
+  const safe = /^[=+\-@]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+// ASCII fallback plus the UTF-8 name for sensor/product names like 'Buzdolabı'
+const attachmentHeader = fullName => {
+  const asciiName = fullName.replace(/[^\w.-]+/g, '_');
+  const encodedName = encodeURIComponent(fullName).replace(
+    /['()*]/g,
+    char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodedName}`;
+};
+
+// Write to res, waiting for it to drain (or close, or fail) when its buffer is full. The
+// listeners are removed once one of them fires, so none are left behind on res. Rejects right
+// away once res is closed: no drain or close event would follow.
+const writeChunk = (res, chunk) => {
+  if (res.destroyed || res.writableEnded) {
+    return Promise.reject(new Error('Response is already closed'));
+  }
+  if (res.write(chunk)) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const settle = error => {
+      res.off('drain', settle);
+      res.off('close', settle);
+      res.off('error', settle);
+      if (error) reject(error);
+      else resolve();
+    };
+
+    res.on('drain', settle);
+    res.on('close', settle);
+    res.on('error', settle);
+  });
+};
+
+/**
+ * Stream readings matching `match` to res as CSV or NDJSON, oldest first.
+ *
+ * Documents come from a Mongo cursor and writes respect backpressure, so memory use does not
+ * grow with the size of the export. Stops reading when the client disconnects.
+ */
+const streamReadingsExport = async (res, { match, format, columns, timezone, filename }) => {
+  const formatTimestamp = createTimestampFormatter(timezone);
+  const isCsv = format === 'csv';
+
+  res.status(200);
+  res.set({
+    'Content-Type': isCsv ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+    'Content-Disposition': attachmentHeader(`${filename}.${isCsv ? 'csv' : 'ndjson'}`),
+    'Cache-Control': 'no-store'
+  });
+
+  const cursor = AmperReading.find(match)
+    .select('username amper product sensor measuredAt createdAt clockSkewMs clockSkewed')
+    // Ascending counterpart of MEASURED_TIME_SORT
+    .sort({ measuredAt: 1, createdAt: 1 })
+    .lean()
+    .cursor();
+
+  let aborted = false;
+  res.on('close', () => {
+    aborted = true;
+  });
+
+  const write = chunk => writeChunk(res, chunk);
+
+  let count = 0;
+  try {
+    if (isCsv) {
+      await write(`${columns.join(',')}\n`);
+    }
+
+    for await (const reading of cursor) {
+      if (aborted) break;
+
+      const values = columns.map(column => columnValue(reading, column, formatTimestamp));
+      const line = isCsv
+        ? values.map(csvField).join(',')
+        : JSON.stringify(Object.fromEntries(columns.map((column, i) => [column, values[i]])));
+
+      await write(`${line}\n`);
+      count++;
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  res.end();
+  return count;
+};
+
+export {
+  attachmentHeader,
+  createOffsetLookup,
+  createTimestampFormatter,
+  streamReadingsExport,
+  writeChunk
+};
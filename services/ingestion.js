@@ -0,0 +1,126 @@
+import AmperReading from '../models/AmperReading.js';
+import Product from '../models/Product.js';
+import readingEvents from './readingEvents.js';
+import { trackSequence } from './sequenceGaps.js';
+
+// Stored reading for a retried delivery, if any
+const findDelivered = ({ productId, idempotencyKey, deviceId, bootId, seq }) => {
+  const conditions = [];
+  if (idempotencyKey) conditions.push({ product: productId, idempotencyKey });
+  if (seq !== undefined) {
+    conditions.push({ product: productId, deviceId, bootId: bootId ?? null, seq });
+  }
+
+  return conditions.length > 0 ? AmperReading.findOne({ $or: conditions }) : null;
+};
+
+// A replay must describe the same reading; reusing a key for new data is a client bug. The
+// measured time tells a retry from a device that restarted its sequence and measured the same
+// value again.
+const replayOf = (stored, { username, amper, sensor, measuredAt, idempotencyKey }) => {
+  if (
+    stored.username !== username ||
+    stored.amper !== amper ||
+    (stored.sensor || null) !== (sensor || null) ||
+    (measuredAt && stored.measuredAt?.getTime() !== measuredAt.getTime()) ||
+    (idempotencyKey && stored.idempotencyKey !== idempotencyKey)
+  ) {
+    return {
+      error: 'Idempotency key or sequence number was already used for a different reading',
+      status: 409
+    };
+  }
+  return { value: { reading: stored, replayed: true } };
+};
+
+/**
+ * Persist one validated reading (see checkReadingPayload) for its product.
+ *
+ * Shared by POST /api/data and the MQTT gateway so both apply the same product lookup,
+ * sensor checks and auto-registration. Readings with an idempotency key or device sequence
+ * number that were already stored are returned as { replayed: true } without inserting again.
+ * Returns { error, status? } or { value: { reading, product, replayed } }.
+ */
+const saveReading = async ({
+  username,
+  amper,
+  productId,
+  sensor,
+  measuredAt,
+  clockSkewMs,
+  clockSkewed,
+  idempotencyKey,
+  deviceId,
+  bootId,
+  seq
+}) => {
+  const delivery = { productId, idempotencyKey, deviceId, bootId, seq };
+
+  // Validate that product exists
+  const product = await Product.findById(productId);
+  if (!product) {
+    return { error: 'Invalid product ID - product not found' };
+  }
+
+  const delivered = await findDelivered(delivery);
+  if (delivered) {
+    const replay = replayOf(delivered, { username, amper, sensor, measuredAt, idempotencyKey });
+    return replay.error ? replay : { value: { ...replay.value, product } };
+  }
+
+  // Validate sensor membership and the sensor's rated current range
+  const check = product.checkReading({ sensor, amper });
+  if (check.error) {
+    return { error: check.error };
+  }
+
+  if (check.value.registerSensor) {
+    await Product.updateOne({ _id: product._id }, { $addToSet: { sensors: sensor } });
+    product.sensors.push(sensor);
+    console.log(`🆕 Auto-registered sensor '${sensor}' on product ${productId}`);
+  }
+
+  const reading = new AmperReading({
+    username,
+    amper,
+    product: productId,
+    sensor,
+    measuredAt: measuredAt || new Date(),
+    clockSkewMs: clockSkewMs ?? undefined,
+    clockSkewed,
+    idempotencyKey,
+    deviceId,
+    bootId,
+    seq
+  });
+
+  try {
+    await reading.save();
+  } catch (error) {
+    // A concurrent retry stored the same delivery first
+    const stored = error.code === 11000 ? await findDelivered(delivery) : null;
+    if (!stored) throw error;
+
+    const replay = replayOf(stored, { username, amper, sensor, measuredAt, idempotencyKey });
+    return replay.error ? replay : { value: { ...replay.value, product } };
+  }
+
+  readingEvents.emit('saved', { product, readings: [reading] });
+
+  if (seq !== undefined) {
+    // Loss accounting must never fail the ingestion itself
+    trackSequence(reading).catch(error => {
+      console.error('Error tracking device sequence:', error);
+    });
+  }
+
+  if (clockSkewed) {
+    console.warn(
+      `⏱️ Clock skew of ${clockSkewMs}ms detected for ${username} on product ${productId}`
+    );
+  }
+
+  return { value: { reading, product, replayed: false } };
+};
+
+export { saveReading };
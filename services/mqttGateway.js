@@ -0,0 +1,204 @@
+import mqtt from 'mqtt';
+import {
+  allowUnauthenticatedDevices,
+  applyDeviceKeyScope,
+  findDeviceKey
+} from '../middleware/deviceAuth.js';
+import { checkReadingPayload } from '../middleware/validation.js';
+import { resolveDeviceId, touchDevice } from './devices.js';
+import { saveReading } from './ingestion.js';
+
+// Topic placeholder for readings without a sensor: amper/<productId>/_/<username>
+const NO_SENSOR = '_';
+
+const topicPrefix = () => process.env.MQTT_TOPIC_PREFIX || 'amper';
+
+// Broker ACLs already authenticate devices, so the per-message apiKey becomes optional
+const trustBroker = () => process.env.MQTT_TRUST_BROKER === 'true';
+
+let gatewayClient = null;
+
+// amper/<productId>/<sensor>/<username> -> { productId, sensor, username }
+const parseTopic = topic => {
+  const prefix = `${topicPrefix()}/`;
+  if (!topic.startsWith(prefix)) {
+    return { error: 'Unknown topic' };
+  }
+
+  const parts = topic.slice(prefix.length).split('/');
+  if (parts.length !== 3 || parts.some(part => part.length === 0)) {
+    return { error: `Topic must look like ${prefix}<productId>/<sensor>/<username>` };
+  }
+
+  const [productId, sensor, username] = parts;
+
+  return {
+    value: { productId, sensor: sensor === NO_SENSOR ? undefined : sensor, username }
+  };
+};
+
+// Payload is either a bare number ("1.25") or JSON ({ "amper": 1.25, "measuredAt": ..., "apiKey": ... })
+const parsePayload = payload => {
+  const text = payload.toString().trim();
+  if (text.length === 0) {
+    return { error: 'Payload is empty' };
+  }
+
+  try {
+    const parsed = JSON.parse(text);
+    if (typeof parsed === 'number') {
+      return { value: { amper: parsed } };
+    }
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return { value: parsed };
+    }
+  } catch {
+    // fall through
+  }
+
+  return { error: 'Payload must be a number or a JSON object' };
+};
+
+/**
+ * Validate and persist one MQTT message. Returns { error } or { value: reading }.
+ *
+ * The topic is authoritative: payload fields that contradict it are rejected rather than
+ * silently overridden.
+ */
+const handleMessage = async (topic, payload) => {
+  const route = parseTopic(topic);
+  if (route.error) {
+    return { error: route.error };
+  }
+
+  const body = parsePayload(payload);
+  if (body.error) {
+    return { error: body.error };
+  }
+
+  const { apiKey, ...fields } = body.value;
+  for (const key of ['productId', 'sensor', 'username']) {
+    if (fields[key] !== undefined && fields[key] !== route.value[key]) {
+      return { error: `Payload ${key} does not match the topic` };
+    }
+  }
+
+  let data = { ...fields, ...route.value };
+  let deviceKey = null;
+
+  if (apiKey) {
+    deviceKey = await findDeviceKey(String(apiKey));
+    if (!deviceKey) {
+      return { error: 'Invalid, expired or revoked device API key' };
+    }
+
+    const scoped = applyDeviceKeyScope(deviceKey, data);
+    if (scoped.error) {
+      return { error: scoped.error };
+    }
+    data = scoped.value;
+  } else if (!trustBroker() && !allowUnauthenticatedDevices()) {
+    return { error: 'Device API key is required (apiKey field)' };
+  }
+
+  const { error, value } = checkReadingPayload(data);
+  if (error) {
+    return { error };
+  }
+
+  const saved = await saveReading(value);
+  if (saved.error) {
+    return { error: saved.error };
+  }
+
+  const { reading } = saved.value;
+  touchDevice({
+    deviceId: resolveDeviceId(value.deviceId, deviceKey),
+    productId: reading.product,
+    sensors: [reading.sensor],
+    usernames: [reading.username],
+    firmwareVersion: value.firmwareVersion,
+    bootId: value.bootId,
+    kind: 'reading'
+  });
+
+  return { value: reading };
+};
+
+// Result is echoed on <topic>/ack so devices can confirm delivery if they subscribe
+const publishAck = (client, topic, result) => {
+  const ack = result.error
+    ? { success: false, message: result.error }
+    : { success: true, id: result.value._id.toString() };
+
+  client.publish(`${topic}/ack`, JSON.stringify(ack), { qos: 0 });
+};
+
+/**
+ * Subscribe to amper/+/+/+ and ingest every message. Enabled by MQTT_URL; a ready client
+ * (e.g. an in-process stand-in with subscribe/publish/on) can be passed instead.
+ * With MQTT_SHARED_GROUP set, a shared subscription spreads messages across API instances.
+ */
+const startMqttGateway = ({ client } = {}) => {
+  if (gatewayClient) return gatewayClient;
+  if (!client && !process.env.MQTT_URL) return null;
+
+  gatewayClient =
+    client ||
+    mqtt.connect(process.env.MQTT_URL, {
+      username: process.env.MQTT_USERNAME || undefined,
+      password: process.env.MQTT_PASSWORD || undefined,
+      clientId: process.env.MQTT_CLIENT_ID || undefined,
+      reconnectPeriod: 5000
+    });
+
+  const filter = `${topicPrefix()}/+/+/+`;
+  const subscription = process.env.MQTT_SHARED_GROUP
+    ? `$share/${process.env.MQTT_SHARED_GROUP}/${filter}`
+    : filter;
+
+  const subscribe = () => {
+    gatewayClient.subscribe(subscription, { qos: 1 }, error => {
+      if (error) {
+        console.error('Error subscribing to MQTT readings:', error);
+        return;
+      }
+      console.log(`📡 MQTT gateway subscribed to ${subscription}`);
+    });
+  };
+
+  // mqtt.js re-sends subscriptions on reconnect; a passed-in client may already be connected
+  if (client) {
+    subscribe();
+  } else {
+    gatewayClient.once('connect', subscribe);
+  }
+
+  gatewayClient.on('message', async (topic, payload) => {
+    try {
+      const result = await handleMessage(topic, payload);
+      if (result.error) {
+        console.warn(`⚠️ Rejected MQTT reading on ${topic}: ${result.error}`);
+      }
+      publishAck(gatewayClient, topic, result);
+    } catch (error) {
+      console.error('Error saving MQTT reading:', error);
+      publishAck(gatewayClient, topic, { error: 'Internal server error' });
+    }
+  });
+
+  gatewayClient.on('error', error => {
+    console.error('MQTT gateway error:', error);
+  });
+
+  return gatewayClient;
+};
+
+const stopMqttGateway = () => {
+  if (!gatewayClient) return;
+
+  gatewayClient.end();
+  gatewayClient = null;
+};
+
+export { handleMessage, parseTopic, startMqttGateway, stopMqttGateway };
@@ -0,0 +1,63 @@
+// Opaque cursors for reading lists ordered newest first on (createdAt, _id). A cursor holds
+// the key of the row it was issued for and the direction to continue in, so pages stay stable
+// while new readings arrive.
+const CURSOR_SORT = { createdAt: -1, _id: -1 };
+
+const encodeCursor = (doc, direction) =>
+  Buffer.from(
+    JSON.stringify({ t: doc.createdAt.getTime(), id: doc._id.toString(), d: direction })
+  ).toString('base64url');
+
+// Returns { createdAt, id, direction } or null when the cursor is malformed
+const decodeCursor = value => {
+  try {
+    const { t, id, d } = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (!Number.isInteger(t) || !/^[0-9a-f]{24}$/.test(id) || !['next', 'prev'].includes(d)) {
+      return null;
+    }
+    return { createdAt: new Date(t), id, direction: d };
+  } catch {
+    return null;
+  }
+};
+
+// Filter and sort for the rows after ('next', older) or before ('prev', newer) a cursor
+const cursorQuery = cursor => {
+  if (!cursor) {
+    return { filter: {}, sort: CURSOR_SORT };
+  }
+
+  const op = cursor.direction === 'next' ? '$lt' : '$gt';
+  return {
+    filter: {
+      $or: [
+        { createdAt: { [op]: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { [op]: cursor.id } }
+      ]
+    },
+    sort: cursor.direction === 'next' ? CURSOR_SORT : { createdAt: 1, _id: 1 }
+  };
+};
+
+/**
+ * Turn up to `limit + 1` rows fetched with cursorQuery(cursor) into a page (newest first) and
+ * the cursors around it. nextCursor is null on the last page and prevCursor on the first.
+ */
+const cursorPage = (rows, { limit, cursor }) => {
+  const backwards = cursor?.direction === 'prev';
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  if (backwards) items.reverse();
+
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    nextCursor: last && (backwards || hasMore) ? encodeCursor(last, 'next') : null,
+    prevCursor:
+      first && (backwards ? hasMore : Boolean(cursor)) ? encodeCursor(first, 'prev') : null
+  };
+};
+
+export { cursorPage, cursorQuery, decodeCursor, encodeCursor };
@@ -0,0 +1,11 @@
+import { EventEmitter } from 'events';
+
+// In-process hook for work that follows ingestion (alerts, streaming, ...).
+// Events:
+//   'saved' ({ product, readings }) - AmperReading documents just persisted for one product
+const readingEvents = new EventEmitter();
+
+// Every ingestion path and subscriber shares this emitter
+readingEvents.setMaxListeners(50);
+
+export default readingEvents;
@@ -0,0 +1,112 @@
+import readingEvents from './readingEvents.js';
+import AmperReading from '../models/AmperReading.js';
+
+const HEARTBEAT_MS = 25 * 1000;
+const MAX_CATCH_UP = 500;
+
+const clients = new Set();
+let subscribed = false;
+
+const formatReading = reading => ({
+  id: reading._id.toString(),
+  productId: reading.product.toString(),
+  username: reading.username,
+  sensor: reading.sensor || null,
+  amper: reading.amper,
+  timestamp: AmperReading.readingTime(reading).toISOString(),
+  createdAt: reading.createdAt.toISOString()
+});
+
+const matches = (filter, reading) =>
+  filter.productIds.has(reading.product.toString()) &&
+  (!filter.sensor || filter.sensor === reading.sensor) &&
+  (!filter.username || filter.username === reading.username);
+
+const writeEvent = (client, reading) => {
+  const id = reading._id.toString();
+  if (client.sentIds.has(id)) return;
+
+  client.sentIds.add(id);
+  client.res.write(
+    `id: ${id}\nevent: reading\ndata: ${JSON.stringify(formatReading(reading))}\n\n`
+  );
+};
+
+const dispatch = ({ readings }) => {
+  for (const client of clients) {
+    for (const reading of readings) {
+      if (!matches(client.filter, reading)) continue;
+
+      // Live readings that arrive while the catch-up query runs are sent after it
+      if (client.buffer) {
+        client.buffer.push(reading);
+      } else {
+        writeEvent(client, reading);
+      }
+    }
+  }
+};
+
+// Readings created after lastEventId (an AmperReading _id), oldest first
+const findMissedReadings = (filter, lastEventId) => {
+  const query = { _id: { $gt: lastEventId }, product: { $in: [...filter.productIds] } };
+  if (filter.sensor) query.sensor = filter.sensor;
+  if (filter.username) query.username = filter.username;
+
+  return AmperReading.find(query).sort({ _id: 1 }).limit(MAX_CATCH_UP).lean();
+};
+
+/**
+ * Attach an SSE response to the reading stream.
+ *
+ * Subscribes before replaying missed readings so nothing saved in between is lost;
+ * event ids are reading ids, so duplicates from the overlap are dropped.
+ */
+const addStreamClient = async (req, res, filter, lastEventId) => {
+  if (!subscribed) {
+    readingEvents.on('saved', dispatch);
+    subscribed = true;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  const client = { res, filter, sentIds: new Set(), buffer: lastEventId ? [] : null };
+  clients.add(client);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+
+  if (lastEventId) {
+    try {
+      const missed = await findMissedReadings(filter, lastEventId);
+      missed.forEach(reading => writeEvent(client, reading));
+
+      if (missed.length === MAX_CATCH_UP) {
+        res.write(`event: truncated\ndata: ${JSON.stringify({ limit: MAX_CATCH_UP })}\n\n`);
+      }
+    } catch (error) {
+      console.error('Error replaying missed readings:', error);
+    } finally {
+      const buffered = client.buffer;
+      client.buffer = null;
+      buffered.forEach(reading => writeEvent(client, reading));
+    }
+  }
+
+  // Only ids sent during the overlap window matter for de-duplication
+  client.sentIds = new Set();
+};
+
+const getStreamClientCount = () => clients.size;
+
+export { addStreamClient, getStreamClientCount };
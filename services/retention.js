@@ -0,0 +1,395 @@
+import { createReadStream, createWriteStream } from 'fs';
+import { mkdir, readdir, rename, rm, unlink } from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import { pipeline } from 'stream/promises';
+import { createGunzip, createGzip } from 'zlib';
+import AmperReading from '../models/AmperReading.js';
+import ArchivedReading from '../models/ArchivedReading.js';
+import Product from '../models/Product.js';
+import { HourlyRollup } from '../models/ReadingRollup.js';
+import { firstReadingTime, isRollupRebuildRunning, rebuildRollupDay } from './rollups.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ARCHIVE_BATCH_SIZE = 1000;
+const FIRST_RUN_DELAY_MS = 5 * 60 * 1000;
+
+// Products whose retention run is in progress in this process
+const running = new Set();
+
+// Read at call time: services are imported before server.js loads .env
+const archiveTarget = () => (process.env.ARCHIVE_TARGET === 'collection' ? 'collection' : 'file');
+const archiveDir = () => path.resolve(process.env.ARCHIVE_DIR || 'archive');
+const productArchiveDir = productId => path.join(archiveDir(), productId.toString());
+
+const dayFilter = (productId, day) => ({
+  product: productId,
+  ...AmperReading.measuredTimeFilter(new Date(day), new Date(day + DAY_MS - 1))
+});
+
+// Cutoffs at UTC midnight: data measured before them is past its retention period
+const retentionCutoffs = (retention, now = new Date()) => {
+  const today = Math.floor(now.getTime() / DAY_MS) * DAY_MS;
+  const cutoff = days => (days ? new Date(today - days * DAY_MS) : null);
+
+  return {
+    rawBefore: cutoff(retention?.rawDays),
+    hourlyBefore: cutoff(retention?.hourlyRollupDays)
+  };
+};
+
+// Without a product: whether any run is in progress
+const isRetentionRunning = productId =>
+  productId ? running.has(productId.toString()) : running.size > 0;
+
+// What the next run would remove, next to the settings and the outcome of the last run
+const previewRetention = async product => {
+  const retention = product.retention || {};
+  const { rawBefore, hourlyBefore } = retentionCutoffs(retention);
+
+  const [readingsToArchive, hourlyRollupsToDelete] = await Promise.all([
+    rawBefore
+      ? AmperReading.countDocuments({
+          product: product._id,
+          ...AmperReading.measuredTimeFilter(null, new Date(rawBefore.getTime() - 1))
+        })
+      : 0,
+    hourlyBefore
+      ? HourlyRollup.countDocuments({ product: product._id, bucket: { $lt: hourlyBefore } })
+      : 0
+  ]);
+
+  return {
+    rawDays: retention.rawDays ?? null,
+    hourlyRollupDays: retention.hourlyRollupDays ?? null,
+    archiveTarget: archiveTarget(),
+    rawCutoff: rawBefore,
+    hourlyRollupCutoff: hourlyBefore,
+    readingsToArchive,
+    hourlyRollupsToDelete,
+    rawArchivedBefore: retention.rawArchivedBefore ?? null,
+    hourlyRollupsPrunedBefore: retention.hourlyRollupsPrunedBefore ?? null,
+    lastRun: retention.lastRun?.startedAt ? retention.lastRun : null,
+    running: isRetentionRunning(product._id)
+  };
+};
+
+const insertArchived = async docs => {
+  try {
+    await ArchivedReading.insertMany(docs, { ordered: false, lean: true });
+  } catch (error) {
+    // Already archived by an earlier, interrupted run
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Copy one product's readings of a UTC day to the archive: a gzipped NDJSON file under
+ * ARCHIVE_DIR/<productId>/ or the archived_readings collection. Returns the number of readings
+ * and the largest _id copied.
+ */
+const archiveDay = async (productId, day) => {
+  const filter = dayFilter(productId, day);
+  const archived = { count: 0, maxId: null };
+  const readings = async function* () {
+    for await (const reading of AmperReading.find(filter).sort({ _id: 1 }).lean().cursor()) {
+      archived.count++;
+      archived.maxId = reading._id;
+      yield reading;
+    }
+  };
+
+  if (archiveTarget() === 'collection') {
+    let batch = [];
+    for await (const reading of readings()) {
+      batch.push(reading);
+      if (batch.length === ARCHIVE_BATCH_SIZE) {
+        await insertArchived(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) await insertArchived(batch);
+    return archived;
+  }
+
+  const dir = productArchiveDir(productId);
+  const date = new Date(day).toISOString().slice(0, 10);
+  await mkdir(dir, { recursive: true });
+  await pipeline(
+    async function* () {
+      for await (const reading of readings()) {
+        yield `${JSON.stringify(reading)}\n`;
+      }
+    },
+    createGzip(),
+    createWriteStream(path.join(dir, `${date}-${Date.now()}.ndjson.gz`))
+  );
+
+  return archived;
+};
+
+const readdirIfExists = async dir => {
+  try {
+    return await readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+};
+
+// Archive files in one directory
+const dirArchiveFiles = async dir =>
+  (await readdirIfExists(dir))
+    .filter(entry => entry.isFile() && entry.name.endsWith('.ndjson.gz'))
+    .map(entry => path.join(dir, entry.name));
+
+// Every archive file under ARCHIVE_DIR, also when ARCHIVE_TARGET was switched since
+const archiveFiles = async () => {
+  const files = [];
+  for (const productDir of await readdirIfExists(archiveDir())) {
+    if (productDir.isDirectory()) {
+      files.push(...(await dirArchiveFiles(path.join(archiveDir(), productDir.name))));
+    }
+  }
+  return files;
+};
+
+// Parsed readings of an archive file, as stored (ids and dates are strings)
+const archiveFileReadings = async function* (file) {
+  const lines = readline.createInterface({
+    input: createReadStream(file).pipe(createGunzip()),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of lines) {
+    if (line) yield JSON.parse(line);
+  }
+};
+
+// A user's readings in the archive files
+const archivedFileReadings = async function* (username) {
+  for (const file of await archiveFiles()) {
+    for await (const reading of archiveFileReadings(file)) {
+      if (reading.username === username) yield reading;
+    }
+  }
+};
+
+/**
+ * Rewrite the given archive files where they hold readings that `matches`: those readings are
+ * dropped or, with an `update`, changed in place. Files left empty are removed. Returns the
+ * number of files rewritten and of readings matched.
+ */
+const rewriteArchives = async (files, matches, update = null) => {
+  const result = { files: 0, readings: 0 };
+
+  for (const file of files) {
+    let found = false;
+    for await (const reading of archiveFileReadings(file)) {
+      if (matches(reading)) {
+        found = true;
+        break;
+      }
+    }
+    if (!found) continue;
+
+    const temp = `${file}.tmp`;
+    let kept = 0;
+    await pipeline(
+      async function* () {
+        for await (const reading of archiveFileReadings(file)) {
+          if (matches(reading)) {
+            result.readings++;
+            if (!update) continue;
+            update(reading);
+          }
+          kept++;
+          yield `${JSON.stringify(reading)}\n`;
+        }
+      },
+      createGzip(),
+      createWriteStream(temp)
+    );
+
+    if (kept > 0) {
+      await rename(temp, file);
+    } else {
+      await unlink(temp);
+      await unlink(file);
+    }
+    result.files++;
+  }
+
+  return result;
+};
+
+// Drop the readings of `username` from the archive files or, with a `replacement`, store them
+// under that name instead
+const rewriteArchiveFiles = async (username, replacement = null) =>
+  rewriteArchives(
+    await archiveFiles(),
+    reading => reading.username === username,
+    replacement
+      ? reading => {
+          reading.username = replacement;
+        }
+      : null
+  );
+
+// Move a product's archived readings of `sensor` to `name`
+const renameArchivedSensor = async (productId, sensor, name) =>
+  rewriteArchives(
+    await dirArchiveFiles(productArchiveDir(productId)),
+    reading => reading.sensor === sensor,
+    reading => {
+      reading.sensor = name;
+    }
+  );
+
+// Drop a product's archived readings of `sensor`
+const deleteArchivedSensor = async (productId, sensor) =>
+  rewriteArchives(
+    await dirArchiveFiles(productArchiveDir(productId)),
+    reading => reading.sensor === sensor
+  );
+
+// Whether a product has archive files (ARCHIVE_TARGET=file)
+const hasProductArchives = async productId =>
+  (await dirArchiveFiles(productArchiveDir(productId))).length > 0;
+
+// Remove every archive file of a product
+const deleteProductArchives = productId =>
+  rm(productArchiveDir(productId), { recursive: true, force: true });
+
+/**
+ * Archive and delete the product's raw readings before the raw cutoff, one UTC day at a time,
+ * then delete its hourly rollups before the hourly cutoff. Days not archived before get their
+ * rollups rebuilt from the raw readings first, so the summaries stay exact once they are gone.
+ */
+const applyRetention = async (product, now = new Date()) => {
+  const { rawBefore, hourlyBefore } = retentionCutoffs(product.retention, now);
+  const result = { archivedReadings: 0, deletedReadings: 0, prunedHourlyRollups: 0 };
+
+  if (rawBefore) {
+    const archivedBefore = product.retention.rawArchivedBefore?.getTime() ?? -Infinity;
+    const first = await firstReadingTime(product._id);
+    const firstDay = first ? Math.floor(first.getTime() / DAY_MS) * DAY_MS : Infinity;
+
+    for (let day = firstDay; day < rawBefore.getTime(); day += DAY_MS) {
+      if (!(await AmperReading.exists(dayFilter(product._id, day)))) continue;
+
+      // Readings arriving late for an archived day were added to its rollups on ingestion;
+      // rebuilding would drop the archived ones
+      if (day >= archivedBefore) await rebuildRollupDay(product, day);
+
+      const archived = await archiveDay(product._id, day);
+
+      // Only what was copied; readings stored during the copy get newer ids
+      const { deletedCount } = await AmperReading.deleteMany({
+        ...dayFilter(product._id, day),
+        _id: { $lte: archived.maxId }
+      });
+      result.archivedReadings += archived.count;
+      result.deletedReadings += deletedCount;
+    }
+
+    await Product.updateOne(
+      { _id: product._id },
+      { $max: { 'retention.rawArchivedBefore': rawBefore } }
+    );
+  }
+
+  if (hourlyBefore) {
+    const { deletedCount } = await HourlyRollup.deleteMany({
+      product: product._id,
+      bucket: { $lt: hourlyBefore }
+    });
+    result.prunedHourlyRollups = deletedCount;
+
+    await Product.updateOne(
+      { _id: product._id },
+      { $max: { 'retention.hourlyRollupsPrunedBefore': hourlyBefore } }
+    );
+  }
+
+  return result;
+};
+
+// Apply one product's retention and record the outcome; null when a run is already in progress
+// or the product's rollups are being rebuilt (that would rebuild days while they are archived)
+const runProductRetention = async product => {
+  const id = product._id.toString();
+  if (running.has(id) || isRollupRebuildRunning(id)) return null;
+  running.add(id);
+
+  const lastRun = { startedAt: new Date() };
+  try {
+    Object.assign(lastRun, await applyRetention(product, lastRun.startedAt));
+  } catch (error) {
+    console.error(`Error applying retention for product ${id}:`, error);
+    lastRun.error = error.message;
+  } finally {
+    running.delete(id);
+  }
+
+  lastRun.finishedAt = new Date();
+  await Product.updateOne({ _id: product._id }, { $set: { 'retention.lastRun': lastRun } });
+  return lastRun;
+};
+
+const runRetention = async () => {
+  const products = await Product.find({
+    $or: [{ 'retention.rawDays': { $ne: null } }, { 'retention.hourlyRollupDays': { $ne: null } }]
+  });
+
+  for (const product of products) {
+    await runProductRetention(product);
+  }
+};
+
+let retentionTimer = null;
+
+// Run the retention job shortly after startup and then every RETENTION_INTERVAL_HOURS
+// (default 24). RETENTION_JOB=false turns it off, e.g. on all but one instance.
+const startRetentionJob = () => {
+  if (retentionTimer || process.env.RETENTION_JOB === 'false') return;
+
+  const intervalMs = (parseFloat(process.env.RETENTION_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+  let tickRunning = false;
+
+  const tick = async () => {
+    if (tickRunning) return;
+    tickRunning = true;
+
+    try {
+      await runRetention();
+    } catch (error) {
+      console.error('Error in retention job:', error);
+    } finally {
+      tickRunning = false;
+    }
+  };
+
+  retentionTimer = setTimeout(() => {
+    tick();
+    retentionTimer = setInterval(tick, intervalMs);
+    retentionTimer.unref();
+  }, FIRST_RUN_DELAY_MS);
+
+  retentionTimer.unref();
+};
+
+export {
+  archivedFileReadings,
+  deleteArchivedSensor,
+  deleteProductArchives,
+  hasProductArchives,
+  isRetentionRunning,
+  previewRetention,
+  renameArchivedSensor,
+  retentionCutoffs,
+  rewriteArchiveFiles,
+  runProductRetention,
+  runRetention,
+  startRetentionJob
+};
@@ -0,0 +1,609 @@
+import mongoose from 'mongoose';
+import AmperReading from '../models/AmperReading.js';
+import Product from '../models/Product.js';
+import { DailyRollup, HourlyRollup } from '../models/ReadingRollup.js';
+import readingEvents from './readingEvents.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const floorTo = (ms, size) => (Number.isFinite(ms) ? ms - (((ms % size) + size) % size) : ms);
+const ceilTo = (ms, size) => (Number.isFinite(ms) ? floorTo(ms + size - 1, size) : ms);
+
+const readingTimeExpression = { $ifNull: ['$measuredAt', '$createdAt'] };
+
+// Band position of a reading, with the bands of its own product / sensor
+const readingBand = (reading, productsById) => {
+  const product = productsById.get(reading.product.toString());
+  return product
+    ? product.consumptionBandIndex(reading.sensor, reading.amper)
+    : Product.defaultConsumptionBandIndex(reading.amper);
+};
+
+// The same as an aggregation expression, for raw readings of `products`
+const bandExpression = products => {
+  if (products.length === 1) {
+    return products[0].consumptionBandExpression(null, { indexed: true });
+  }
+
+  return {
+    $switch: {
+      branches: products.map(product => ({
+        case: { $eq: ['$product', product._id] },
+        then: product.consumptionBandExpression(null, { indexed: true })
+      })),
+      default: Product.defaultConsumptionBandExpression({ indexed: true })
+    }
+  };
+};
+
+const bandPositions = () => Array.from({ length: Product.MAX_CONSUMPTION_BANDS }, (_, i) => i);
+
+// Upserts adding `readings` to their `size` buckets, one per series and bucket
+const rollupUpdates = (readings, size, productsById) => {
+  const groups = new Map();
+
+  readings.forEach(reading => {
+    const time = AmperReading.readingTime(reading).getTime();
+    const filter = {
+      product: reading.product,
+      username: reading.username,
+      sensor: reading.sensor ?? null,
+      bucket: new Date(floorTo(time, size))
+    };
+    const key = `${filter.product}|${filter.username}|${filter.sensor ?? ''}|${filter.bucket.getTime()}`;
+
+    const group = groups.get(key) || {
+      filter,
+      count: 0,
+      sum: 0,
+      min: Infinity,
+      max: -Infinity,
+      last: 0,
+      bands: {}
+    };
+    const band = readingBand(reading, productsById);
+    group.bands[band] = (group.bands[band] || 0) + 1;
+    group.count++;
+    group.sum += reading.amper;
+    group.min = Math.min(group.min, reading.amper);
+    group.max = Math.max(group.max, reading.amper);
+    group.last = Math.max(group.last, time);
+    groups.set(key, group);
+  });
+
+  return [...groups.values()].map(group => ({
+    updateOne: {
+      filter: group.filter,
+      update: {
+        $inc: {
+          count: group.count,
+          sum: group.sum,
+          ...Object.fromEntries(
+            Object.entries(group.bands).map(([band, count]) => [`bands.${band}`, count])
+          )
+        },
+        $min: { min: group.min },
+        $max: { max: group.max, lastReadingAt: new Date(group.last) }
+      },
+      upsert: true
+    }
+  }));
+};
+
+const writeUpdates = async (Model, updates) => {
+  try {
+    await Model.bulkWrite(updates, { ordered: false });
+  } catch (error) {
+    // Concurrent first readings of a bucket raced on the unique index; retry those as updates
+    const failed = error.writeErrors || [];
+    if (failed.length === 0 || failed.some(writeError => writeError.code !== 11000)) throw error;
+    await Model.bulkWrite(
+      failed.map(writeError => updates[writeError.index]),
+      { ordered: false }
+    );
+  }
+};
+
+// Add newly stored readings to the hourly and daily rollups. `products` are the readings'
+// Product documents where the caller has them; the others are looked up for their bands.
+const addToRollups = async (readings, products = []) => {
+  if (readings.length === 0) return;
+
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+  const missing = [...new Set(readings.map(reading => reading.product.toString()))].filter(
+    id => !productsById.has(id)
+  );
+  if (missing.length > 0) {
+    (await Product.find({ _id: { $in: missing } })).forEach(product => {
+      productsById.set(product._id.toString(), product);
+    });
+  }
+
+  await writeUpdates(HourlyRollup, rollupUpdates(readings, HOUR_MS, productsById));
+  await writeUpdates(DailyRollup, rollupUpdates(readings, DAY_MS, productsById));
+};
+
+// Callers that delete or move readings keep the rollups in step with these
+const deleteRollups = async filter => {
+  await HourlyRollup.deleteMany(filter);
+  await DailyRollup.deleteMany(filter);
+};
+
+const renameRollupSensor = async (productId, sensor, name) => {
+  const update = { $set: { sensor: name } };
+  await HourlyRollup.updateMany({ product: productId, sensor }, update);
+  await DailyRollup.updateMany({ product: productId, sensor }, update);
+};
+
+// Whole UTC days from daily rollups, whole hours from hourly rollups, the partial hours at
+// either end from raw readings
+const splitWindow = (start, end, bucketMs) => {
+  if (bucketMs && bucketMs % HOUR_MS !== 0) {
+    return { days: [], hours: [], raw: [[start, end]] };
+  }
+
+  const hourStart = ceilTo(start, HOUR_MS);
+  const hourEnd = floorTo(end, HOUR_MS);
+  if (hourStart >= hourEnd) {
+    return { days: [], hours: [], raw: [[start, end]] };
+  }
+
+  const raw = [
+    [start, hourStart],
+    [hourEnd, end]
+  ];
+
+  const dayStart = ceilTo(hourStart, DAY_MS);
+  const dayEnd = floorTo(hourEnd, DAY_MS);
+  if ((bucketMs && bucketMs % DAY_MS !== 0) || dayStart >= dayEnd) {
+    return { days: [], hours: [[hourStart, hourEnd]], raw };
+  }
+
+  return {
+    days: [[dayStart, dayEnd]],
+    hours: [
+      [hourStart, dayStart],
+      [dayEnd, hourEnd]
+    ],
+    raw
+  };
+};
+
+// Split ranges at `before`: the earlier parts widened to whole `size` buckets, the rest as is
+const coarsen = (ranges, before, size) => {
+  const kept = [];
+  const widened = [];
+
+  ranges.forEach(([start, end]) => {
+    if (start < before) widened.push([floorTo(start, size), ceilTo(Math.min(end, before), size)]);
+    if (end > before) kept.push([Math.max(start, before), end]);
+  });
+
+  return { kept, widened };
+};
+
+// Union of ranges: widened ones can overlap each other, which would count buckets twice
+const mergeRanges = ranges =>
+  ranges
+    .filter(([start, end]) => start < end)
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, [start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+      return merged;
+    }, []);
+
+/**
+ * Split [from, to] into the parts served by daily rollups, hourly rollups and raw readings.
+ * Series buckets smaller than a day skip the daily rollups, buckets smaller than an hour use raw
+ * readings only. Where the product's retention job archived raw readings or pruned hourly
+ * rollups, those parts move to the next coarser rollup, widened to whole hours / days (or are
+ * left out when that is coarser than the series bucket).
+ */
+const planWindow = (from, to, bucketMs, retention) => {
+  const start = from ? from.getTime() : -Infinity;
+  // `to` is inclusive, like measuredTimeFilter
+  const end = to ? to.getTime() + 1 : Infinity;
+  const plan = splitWindow(start, end, bucketMs);
+
+  const rawBefore = retention?.rawArchivedBefore?.getTime() ?? -Infinity;
+  const hourlyBefore = retention?.hourlyRollupsPrunedBefore?.getTime() ?? -Infinity;
+  const fits = size => !bucketMs || bucketMs % size === 0;
+
+  const raw = coarsen(plan.raw, rawBefore, HOUR_MS);
+  const hours = coarsen(
+    [...plan.hours, ...(fits(HOUR_MS) ? raw.widened : [])],
+    hourlyBefore,
+    DAY_MS
+  );
+
+  return {
+    days: mergeRanges([...plan.days, ...(fits(DAY_MS) ? hours.widened : [])]),
+    hours: mergeRanges(hours.kept),
+    raw: mergeRanges(raw.kept)
+  };
+};
+
+const nonEmpty = ranges => ranges.filter(([start, end]) => start < end);
+
+const bucketRange = ([start, end]) => {
+  const range = {};
+  if (Number.isFinite(start)) range.$gte = new Date(start);
+  if (Number.isFinite(end)) range.$lt = new Date(end);
+  return Object.keys(range).length > 0 ? { bucket: range } : {};
+};
+
+const rawRange = ([start, end]) =>
+  AmperReading.measuredTimeFilter(
+    Number.isFinite(start) ? new Date(start) : null,
+    Number.isFinite(end) ? new Date(end - 1) : null
+  );
+
+// Group key: the requested fields plus the series bucket a time falls into
+const groupKey = (groupBy, bucketMs, timeExpression) => {
+  const key = Object.fromEntries(groupBy.map(field => [field, { $ifNull: [`$${field}`, null] }]));
+  if (bucketMs) {
+    const ms = { $toLong: timeExpression };
+    key.bucket = { $subtract: [ms, { $mod: [ms, bucketMs] }] };
+  }
+  return key;
+};
+
+// Per band position: `band0`, `band1`, ... summing what `countOf` gives for that position
+const bandGroups = countOf =>
+  Object.fromEntries(bandPositions().map(band => [`band${band}`, { $sum: countOf(band) }]));
+
+const rollupRows = (Model, match, ranges, groupBy, bucketMs, products) => {
+  if (ranges.length === 0) return [];
+
+  return Model.aggregate([
+    { $match: { ...match, $or: ranges.map(bucketRange) } },
+    {
+      $group: {
+        _id: groupKey(groupBy, bucketMs, '$bucket'),
+        count: { $sum: '$count' },
+        sum: { $sum: '$sum' },
+        min: { $min: '$min' },
+        max: { $max: '$max' },
+        lastReadingAt: { $max: '$lastReadingAt' },
+        ...(products && bandGroups(band => `$bands.${band}`))
+      }
+    }
+  ]);
+};
+
+const rawRows = (match, ranges, groupBy, bucketMs, products) => {
+  if (ranges.length === 0) return [];
+
+  const timeFilter = ranges.length === 1 ? rawRange(ranges[0]) : { $or: ranges.map(rawRange) };
+  const band = products && bandExpression(products);
+
+  return AmperReading.aggregate([
+    { $match: { ...match, ...timeFilter } },
+    {
+      $group: {
+        _id: groupKey(groupBy, bucketMs, readingTimeExpression),
+        count: { $sum: 1 },
+        sum: { $sum: '$amper' },
+        min: { $min: '$amper' },
+        max: { $max: '$amper' },
+        lastReadingAt: { $max: readingTimeExpression },
+        ...(band && bandGroups(position => ({ $cond: [{ $eq: [band, position] }, 1, 0] })))
+      }
+    }
+  ]);
+};
+
+// Fold `row` into `total` (count / sum / min / max / newest reading)
+const mergeStats = (total, row) => {
+  total.count += row.count;
+  total.sum += row.sum;
+  total.min = Math.min(total.min, row.min);
+  total.max = Math.max(total.max, row.max);
+  total.lastReadingAt =
+    total.lastReadingAt > row.lastReadingAt ? total.lastReadingAt : row.lastReadingAt;
+};
+
+/**
+ * Count / sum / min / max / avg of the readings matching `match` (product, sensor, username)
+ * measured in [from, to], grouped by `groupBy` fields and, with `bucketMs`, by series bucket
+ * (aligned to the Unix epoch). Reads rollups for whole hours and days and raw readings only for
+ * the partial hours at the edges of the window. Pass the product's `retention` so archived
+ * periods are read from the rollups. With `products` (the Product documents of the matched
+ * readings) rows also hold `bands`, the reading count per consumption band position.
+ */
+const summarizeReadings = async ({
+  match: filter,
+  from,
+  to,
+  groupBy = [],
+  bucketMs,
+  retention,
+  products
+}) => {
+  const plan = planWindow(from, to, bucketMs, retention);
+  // A single product ID may come in as a string; `{ $in: [...] }` must already hold ObjectIds
+  const match = mongoose.isValidObjectId(filter.product)
+    ? { ...filter, product: new mongoose.Types.ObjectId(filter.product) }
+    : filter;
+
+  const results = await Promise.all([
+    rollupRows(DailyRollup, match, nonEmpty(plan.days), groupBy, bucketMs, products),
+    rollupRows(HourlyRollup, match, nonEmpty(plan.hours), groupBy, bucketMs, products),
+    rawRows(match, nonEmpty(plan.raw), groupBy, bucketMs, products)
+  ]);
+
+  const groups = new Map();
+  results.flat().forEach(({ _id, ...stats }) => {
+    const { count, sum, min, max, lastReadingAt } = stats;
+    const row = { count, sum, min, max, lastReadingAt };
+    if (products) row.bands = bandPositions().map(band => stats[`band${band}`]);
+
+    const key = JSON.stringify(_id);
+    const group = groups.get(key);
+    if (!group) {
+      groups.set(key, { ..._id, ...row });
+      return;
+    }
+
+    mergeStats(group, row);
+    if (products) {
+      row.bands.forEach((bandCount, band) => {
+        group.bands[band] += bandCount;
+      });
+    }
+  });
+
+  const rows = [...groups.values()].map(group => ({
+    ...group,
+    avg: group.count > 0 ? group.sum / group.count : 0
+  }));
+
+  return bucketMs ? rows.sort((a, b) => a.bucket - b.bucket) : rows;
+};
+
+/**
+ * Readings per band label from summary rows grouped by sensor and holding `bands` (see
+ * summarizeReadings), each row categorised with its sensor's bands. Readings at positions the
+ * current bands no longer have, or rolled up before band counts were kept, are `uncategorized`.
+ */
+const bandCategories = (rows, product, sensor) => {
+  const categories = Object.fromEntries(
+    product.consumptionBandLabels(sensor).map(label => [label, 0])
+  );
+  let uncategorized = 0;
+
+  rows.forEach(row => {
+    const bands = product.getSensorSettings(row.sensor).consumptionBands;
+    let categorized = 0;
+    bands.forEach(({ label }, band) => {
+      categories[label] += row.bands[band];
+      categorized += row.bands[band];
+    });
+    uncategorized += row.count - categorized;
+  });
+
+  return { categories, uncategorized };
+};
+
+/**
+ * Reading counts of a username from the daily rollups, archived readings included: the total and
+ * those in the highest consumption band of their own product / sensor. `filter` narrows the
+ * readings further, e.g. to one organization's products.
+ */
+const getUserStats = async (username, filter = {}) => {
+  const match = { ...filter, username };
+  const products = await Product.find({
+    _id: { $in: await DailyRollup.distinct('product', match) }
+  });
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+  const rows = await summarizeReadings({ match, groupBy: ['product', 'sensor'], products });
+
+  let totalReadings = 0;
+  let highAmpCount = 0;
+  rows.forEach(row => {
+    const product = productsById.get(row.product.toString());
+    const bands = product
+      ? product.getSensorSettings(row.sensor).consumptionBands
+      : Product.defaultConsumptionBands();
+
+    totalReadings += row.count;
+    highAmpCount += row.bands[bands.length - 1];
+  });
+
+  return {
+    totalReadings,
+    highAmpCount,
+    lowAmpCount: totalReadings - highAmpCount,
+    percentage: totalReadings > 0 ? Math.round((highAmpCount / totalReadings) * 100) : 0
+  };
+};
+
+// Hourly rows per band position of one product's readings measured in [start, start + DAY_MS)
+const aggregateDay = (product, start) =>
+  AmperReading.aggregate([
+    {
+      $match: {
+        product: new mongoose.Types.ObjectId(product._id),
+        ...rawRange([start, start + DAY_MS])
+      }
+    },
+    {
+      $group: {
+        _id: {
+          username: '$username',
+          sensor: { $ifNull: ['$sensor', null] },
+          band: product.consumptionBandExpression(null, { indexed: true }),
+          ...groupKey([], HOUR_MS, readingTimeExpression)
+        },
+        count: { $sum: 1 },
+        sum: { $sum: '$amper' },
+        min: { $min: '$amper' },
+        max: { $max: '$amper' },
+        lastReadingAt: { $max: readingTimeExpression }
+      }
+    }
+  ]);
+
+// Measured time of a product's oldest reading, or null without readings
+const firstReadingTime = async productId => {
+  const [measured, legacy] = await Promise.all([
+    AmperReading.findOne({ product: productId, measuredAt: { $type: 'date' } })
+      .sort({ measuredAt: 1 })
+      .select('measuredAt')
+      .lean(),
+    AmperReading.findOne({ product: productId, measuredAt: null })
+      .sort({ createdAt: 1 })
+      .select('createdAt')
+      .lean()
+  ]);
+
+  const times = [measured?.measuredAt, legacy?.createdAt].filter(Boolean);
+  return times.length > 0 ? new Date(Math.min(...times)) : null;
+};
+
+// Fold rollup rows into one per series and `bucket(row)`, adding up their band counts
+const foldRollups = (rows, bucket) => {
+  const folded = new Map();
+  rows.forEach(row => {
+    const key = `${row.username}|${row.sensor ?? ''}|${bucket(row).getTime()}`;
+    const total = folded.get(key);
+    if (!total) {
+      folded.set(key, { ...row, bucket: bucket(row), bands: { ...row.bands } });
+      return;
+    }
+    mergeStats(total, row);
+    Object.entries(row.bands).forEach(([band, count]) => {
+      total.bands[band] = (total.bands[band] || 0) + count;
+    });
+  });
+  return [...folded.values()];
+};
+
+// Recompute the hourly and daily rollups of one product's UTC day starting at `day` (ms)
+const rebuildRollupDay = async (product, day) => {
+  const rows = await aggregateDay(product, day);
+  const range = {
+    product: product._id,
+    bucket: { $gte: new Date(day), $lt: new Date(day + DAY_MS) }
+  };
+
+  const perBand = rows.map(({ _id, ...stats }) => ({
+    product: product._id,
+    username: _id.username,
+    sensor: _id.sensor,
+    bucket: new Date(_id.bucket),
+    ...stats,
+    bands: { [_id.band]: stats.count }
+  }));
+  const hourly = foldRollups(perBand, row => row.bucket);
+  const daily = foldRollups(hourly, () => new Date(day));
+
+  await HourlyRollup.deleteMany(range);
+  await DailyRollup.deleteMany(range);
+  if (hourly.length > 0) {
+    await HourlyRollup.insertMany(hourly, { ordered: false });
+    await DailyRollup.insertMany(daily, { ordered: false });
+  }
+
+  return { hourlyRollups: hourly.length, dailyRollups: daily.length };
+};
+
+/**
+ * Recompute the rollups of whole UTC days from raw readings, one product and day at a time.
+ * Without `from` starts at each product's oldest reading; `to` defaults to now. Days whose raw
+ * readings the retention job already archived are skipped, their rollups are all that is left.
+ * Readings that arrive for a day while it is being rebuilt can be counted twice or missed, so
+ * run this for past days or while ingestion is quiet.
+ */
+const rebuildRollups = async ({ productId, from, to = new Date(), onProgress } = {}) => {
+  // Documents, not lean: their band settings categorise the readings
+  const products = await Product.find(productId ? { _id: productId } : {});
+  const report = { products: 0, days: 0, hourlyRollups: 0, dailyRollups: 0 };
+
+  for (const product of products) {
+    const start = from || (await firstReadingTime(product._id));
+    report.products++;
+    if (!start) continue;
+
+    const archivedBefore = product.retention?.rawArchivedBefore?.getTime() ?? -Infinity;
+    const firstDay = Math.max(floorTo(start.getTime(), DAY_MS), archivedBefore);
+
+    for (let day = firstDay; day <= to.getTime(); day += DAY_MS) {
+      const written = await rebuildRollupDay(product, day);
+
+      report.days++;
+      report.hourlyRollups += written.hourlyRollups;
+      report.dailyRollups += written.dailyRollups;
+      if (onProgress) onProgress({ ...report, productId: product._id, day: new Date(day) });
+    }
+  }
+
+  return report;
+};
+
+// Products whose background rebuild is in progress in this process, and whether another run
+// was requested while it ran
+const rebuildsRunning = new Map();
+
+const isRollupRebuildRunning = productId => rebuildsRunning.has(productId.toString());
+
+/**
+ * Rebuild a product's rollups in the background, e.g. after its consumption bands changed. A
+ * request while a rebuild runs starts one more pass when it finishes, so the last settings win.
+ */
+const scheduleRollupRebuild = productId => {
+  const id = productId.toString();
+  if (rebuildsRunning.has(id)) {
+    rebuildsRunning.set(id, true);
+    return;
+  }
+  rebuildsRunning.set(id, false);
+
+  const run = async () => {
+    do {
+      rebuildsRunning.set(id, false);
+      await rebuildRollups({ productId });
+    } while (rebuildsRunning.get(id));
+  };
+
+  run()
+    .catch(error => {
+      console.error(`Error rebuilding rollups for product ${id}:`, error);
+    })
+    .finally(() => rebuildsRunning.delete(id));
+};
+
+let updaterStarted = false;
+
+const startRollupUpdater = () => {
+  if (updaterStarted) return;
+  updaterStarted = true;
+
+  readingEvents.on('saved', ({ product, readings }) => {
+    addToRollups(readings, product ? [product] : []).catch(error => {
+      console.error('Error updating reading rollups:', error);
+    });
+  });
+};
+
+export {
+  addToRollups,
+  bandCategories,
+  deleteRollups,
+  firstReadingTime,
+  getUserStats,
+  isRollupRebuildRunning,
+  planWindow,
+  rebuildRollupDay,
+  rebuildRollups,
+  renameRollupSensor,
+  scheduleRollupRebuild,
+  startRollupUpdater,
+  summarizeReadings
+};
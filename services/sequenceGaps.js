@@ -0,0 +1,53 @@
+import AmperReading from '../models/AmperReading.js';
+import SequenceGap from '../models/SequenceGap.js';
+
+/**
+ * Record packet loss for a reading that carries a device sequence number.
+ *
+ * Runs after the reading is saved. The newest reading of a sequence opens a gap when it
+ * skips numbers; an older one that arrives late is counted against the gap it falls in.
+ */
+const trackSequence = async reading => {
+  const series = {
+    product: reading.product,
+    deviceId: reading.deviceId,
+    bootId: reading.bootId ?? null
+  };
+
+  const newer = await AmperReading.exists({ ...series, seq: { $gt: reading.seq } });
+  if (newer) {
+    const gap = await SequenceGap.findOneAndUpdate(
+      { ...series, fromSeq: { $lte: reading.seq }, toSeq: { $gte: reading.seq } },
+      { $inc: { recovered: 1 } },
+      { new: true }
+    );
+
+    if (gap && gap.recovered >= gap.missing && !gap.closedAt) {
+      await SequenceGap.updateOne({ _id: gap._id }, { closedAt: new Date() });
+    }
+    return;
+  }
+
+  const previous = await AmperReading.findOne({ ...series, seq: { $lt: reading.seq } })
+    .sort({ seq: -1 })
+    .select('seq')
+    .lean();
+
+  if (previous && reading.seq > previous.seq + 1) {
+    const missing = reading.seq - previous.seq - 1;
+
+    await SequenceGap.create({
+      ...series,
+      username: reading.username,
+      fromSeq: previous.seq + 1,
+      toSeq: reading.seq - 1,
+      missing
+    });
+
+    console.warn(
+      `📉 Device ${reading.deviceId} skipped ${missing} reading(s) (seq ${previous.seq + 1}-${reading.seq - 1})`
+    );
+  }
+};
+
+export { trackSequence };
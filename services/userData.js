@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import Alert from '../models/Alert.js';
+import AlertRule from '../models/AlertRule.js';
+import AmperReading from '../models/AmperReading.js';
+import Anomaly from '../models/Anomaly.js';
+import ArchivedReading from '../models/ArchivedReading.js';
+import Device from '../models/Device.js';
+import ErasureAudit from '../models/ErasureAudit.js';
+import Organization from '../models/Organization.js';
+import { DailyRollup, HourlyRollup } from '../models/ReadingRollup.js';
+import SequenceGap from '../models/SequenceGap.js';
+import User from '../models/User.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { forgetBaselines } from './anomalies.js';
+import { attachmentHeader, writeChunk } from './export.js';
+import { archivedFileReadings, rewriteArchiveFiles } from './retention.js';
+import { getUserStats, summarizeReadings } from './rollups.js';
+
+// Collections keyed by `username`, in export order (largest last)
+const USER_COLLECTIONS = [
+  ['alertRule', 'alertRules', AlertRule],
+  ['alert', 'alerts', Alert],
+  ['anomaly', 'anomalies', Anomaly],
+  ['sequenceGap', 'sequenceGaps', SequenceGap],
+  ['dailyRollup', 'dailyRollups', DailyRollup],
+  ['hourlyRollup', 'hourlyRollups', HourlyRollup],
+  ['reading', 'readings', AmperReading],
+  ['archivedReading', 'archivedReadings', ArchivedReading]
+];
+
+// Keyed with a server secret: a plain hash of a username can be reversed by hashing candidate names
+const hashUsername = username => {
+  const secret = process.env.ERASURE_HASH_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('ERASURE_HASH_SECRET or JWT_SECRET must be configured');
+  }
+  return crypto.createHmac('sha256', secret).update(username).digest('hex');
+};
+
+/**
+ * Stream everything stored for a username to res as NDJSON, one `{ type, data }` record per
+ * line: the account, derived stats, devices, alert rules, alerts, anomalies, sequence gaps,
+ * rollups and finally the readings (including archived ones). Stops when the client disconnects.
+ */
+const streamUserDataExport = async (res, username) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Content-Disposition': attachmentHeader(`user-data-${username}.ndjson`),
+    'Cache-Control': 'no-store'
+  });
+
+  let aborted = false;
+  res.on('close', () => {
+    aborted = true;
+  });
+
+  const write = (type, data) => writeChunk(res, `${JSON.stringify({ type, data })}\n`);
+
+  const [account, stats, totals, devices] = await Promise.all([
+    User.findOne({ username }).lean(),
+    getUserStats(username),
+    summarizeReadings({ match: { username }, groupBy: ['product', 'sensor'] }),
+    Device.find({ usernames: username }).lean()
+  ]);
+  if (aborted) return;
+
+  await write('export', { username, generatedAt: new Date().toISOString() });
+  await write('account', account);
+  await write('stats', {
+    ...stats,
+    // From the rollups, so archived readings are included
+    bySensor: totals.map(({ product, sensor, count, min, max, avg, lastReadingAt }) => ({
+      product,
+      sensor,
+      count,
+      min,
+      max,
+      avg: Number(avg.toFixed(2)),
+      lastReadingAt
+    }))
+  });
+  for (const device of devices) {
+    if (aborted) break;
+    await write('device', device);
+  }
+
+  for (const [type, , Model] of USER_COLLECTIONS) {
+    const cursor = Model.find({ username }).sort({ _id: 1 }).lean().cursor();
+    try {
+      for await (const doc of cursor) {
+        if (aborted) break;
+        await write(type, doc);
+      }
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  for await (const reading of archivedFileReadings(username)) {
+    if (aborted) break;
+    await write('archivedReading', reading);
+  }
+
+  res.end();
+};
+
+/**
+ * Erase a username everywhere: `delete` removes the account and all data tied to it,
+ * `pseudonymize` removes the account and moves the data to an `erased-...` name so
+ * product-wide totals stay intact. The name is derived from the keyed username hash, so
+ * retrying a failed erasure moves the rest of the data to the same name. An ErasureAudit record
+ * is written before anything is changed and completed (or marked failed) afterwards.
+ */
+const eraseUserData = async ({ username, mode, reason, requestedBy }) => {
+  const usernameHash = hashUsername(username);
+  const pseudonym = mode === 'pseudonymize' ? `erased-${usernameHash.slice(0, 16)}` : null;
+  const audit = await ErasureAudit.create({
+    usernameHash,
+    mode,
+    pseudonym,
+    reason: reason || null,
+    requestedBy
+  });
+
+  const affected = {};
+  try {
+    // Deliveries carry the username in their payload; find them before the alerts change
+    const alertIds = await Alert.distinct('_id', { username });
+    const deliveries = pseudonym
+      ? await WebhookDelivery.updateMany(
+          { alert: { $in: alertIds } },
+          { $set: { 'payload.alert.username': pseudonym } }
+        )
+      : await WebhookDelivery.deleteMany({ alert: { $in: alertIds } });
+    affected.webhookDeliveries = deliveries.modifiedCount ?? deliveries.deletedCount;
+
+    for (const [, name, Model] of USER_COLLECTIONS) {
+      const result = pseudonym
+        ? await Model.updateMany({ username }, { $set: { username: pseudonym } })
+        : await Model.deleteMany({ username });
+      affected[name] = result.modifiedCount ?? result.deletedCount;
+    }
+
+    const acknowledged = await Alert.updateMany(
+      { acknowledgedBy: username },
+      { $set: { acknowledgedBy: pseudonym } }
+    );
+    affected.acknowledgedAlerts = acknowledged.modifiedCount;
+
+    const devices = pseudonym
+      ? await Device.updateMany({ usernames: username }, { $set: { 'usernames.$': pseudonym } })
+      : await Device.updateMany({ usernames: username }, { $pull: { usernames: username } });
+    affected.devices = devices.modifiedCount;
+
+    const archive = await rewriteArchiveFiles(username, pseudonym);
+    affected.archiveFiles = archive.files;
+    affected.archiveFileReadings = archive.readings;
+
+    // Before the account, so a retry still finds the user. An organization whose last admin
+    // this was is left to platform admins.
+    const user = await User.findOne({ username }).select('_id');
+    const memberships = user
+      ? await Organization.updateMany(
+          { $or: [{ 'members.user': user._id }, { 'invitations.user': user._id }] },
+          { $pull: { members: { user: user._id }, invitations: { user: user._id } } }
+        )
+      : { modifiedCount: 0 };
+    affected.organizations = memberships.modifiedCount;
+
+    const account = await User.deleteOne({ username });
+    affected.account = account.deletedCount;
+
+    forgetBaselines(username);
+
+    audit.status = 'completed';
+  } catch (error) {
+    console.error('Error erasing user data:', error);
+    audit.status = 'failed';
+    audit.error = error.message;
+  }
+
+  audit.affected = affected;
+  audit.completedAt = new Date();
+  await audit.save();
+  return audit;
+};
+
+export { eraseUserData, hashUsername, streamUserDataExport };
@@ -0,0 +1,70 @@
+import dns from 'dns';
+import net from 'net';
+
+// Loopback, private, link-local, shared (CGNAT), multicast and reserved ranges. Alert rules
+// belong to organizations, so their webhooks must not reach the server's own network.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges
+[
+  ['::', 127],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Read at call time: services are imported before server.js loads .env
+const privateTargetsAllowed = () => process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+
+const isBlockedAddress = address => {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Host of a URL without the brackets around IPv6 literals
+const urlHost = url => url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+
+// An http(s) URL whose host is not a blocked address literal or localhost. Host names are
+// checked again when a delivery resolves them (see guardedLookup).
+const isAllowedWebhookUrl = value => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return false;
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+  if (privateTargetsAllowed()) return true;
+
+  const host = urlHost(url);
+  return host !== 'localhost' && !host.endsWith('.localhost') && !isBlockedAddress(host);
+};
+
+// dns.lookup for outgoing webhook requests that fails when a name resolves to a blocked
+// address. Used as the socket's lookup, so the checked address is the one connected to.
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (!privateTargetsAllowed() && addresses.some(entry => isBlockedAddress(entry.address))) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a private address`));
+    }
+    callback(null, address, family);
+  });
+};
+
+export { guardedLookup, isAllowedWebhookUrl, isBlockedAddress, privateTargetsAllowed, urlHost };
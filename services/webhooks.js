@@ -0,0 +1,172 @@
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import AlertRule from '../models/AlertRule.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import {
+  guardedLookup,
+  isBlockedAddress,
+  privateTargetsAllowed,
+  urlHost
+} from './webhookTargets.js';
+
+// Read at call time: services are imported before server.js loads .env
+const maxAttempts = () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const RETRY_BASE_MS = 30 * 1000; // 30s, 1m, 2m, 4m, ...
+const CLAIM_LEASE_MS = 60 * 1000;
+
+const formatAlertPayload = (event, alert, rule) => ({
+  event,
+  alert: {
+    id: alert._id,
+    status: alert.status,
+    message: alert.message,
+    product: alert.product,
+    sensor: alert.sensor,
+    username: alert.username,
+    conditionSince: alert.conditionSince,
+    openedAt: alert.openedAt,
+    resolvedAt: alert.resolvedAt,
+    triggerValue: alert.triggerValue,
+    lastValue: alert.lastValue,
+    rule: {
+      id: rule._id,
+      name: rule.name,
+      type: rule.type,
+      threshold: rule.threshold ?? null,
+      durationSeconds: rule.durationSeconds,
+      noDataMinutes: rule.noDataMinutes ?? null
+    }
+  },
+  sentAt: new Date().toISOString()
+});
+
+/**
+ * POST body to url and resolve with the response status. Host names are resolved through
+ * guardedLookup and address literals checked here, so private targets fail even when a name
+ * changes after the rule was saved. Redirects are not followed.
+ */
+const postWebhook = (url, headers, body) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    if (!privateTargetsAllowed() && isBlockedAddress(urlHost(target))) {
+      reject(new Error(`Webhook host ${target.hostname} is a private address`));
+      return;
+    }
+
+    const request = (target.protocol === 'https:' ? https : http).request(
+      target,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: guardedLookup,
+        timeout: REQUEST_TIMEOUT_MS
+      },
+      response => {
+        response.resume();
+        response.on('end', () => resolve(response.statusCode));
+        response.on('error', reject);
+      }
+    );
+
+    request.on('timeout', () => request.destroy(new Error('Request timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+
+// Try one delivery; on failure schedule a retry with exponential backoff
+const attemptDelivery = async delivery => {
+  const body = JSON.stringify(delivery.payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Amper-Event': delivery.event,
+    'X-Amper-Delivery': delivery._id.toString()
+  };
+
+  // Receivers verify the body with their rule's secret; one tenant cannot sign for another
+  const rule = delivery.rule
+    ? await AlertRule.findById(delivery.rule).select('+webhookSecret').lean()
+    : null;
+  if (rule?.webhookSecret) {
+    headers['X-Amper-Signature'] = `sha256=${crypto
+      .createHmac('sha256', rule.webhookSecret)
+      .update(body)
+      .digest('hex')}`;
+  }
+
+  delivery.attempts += 1;
+
+  try {
+    const status = await postWebhook(delivery.url, headers, body);
+
+    if (status < 200 || status >= 300) {
+      throw new Error(`HTTP ${status}`);
+    }
+
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date();
+    delivery.lastError = null;
+  } catch (error) {
+    delivery.lastError = error.message;
+
+    if (delivery.attempts >= maxAttempts()) {
+      delivery.status = 'failed';
+      console.error(`❌ Webhook to ${delivery.url} failed permanently: ${error.message}`);
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (delivery.attempts - 1));
+    }
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+// Create one delivery per rule webhook and try them right away
+const enqueueAlertWebhooks = async (event, alert, rule) => {
+  if (!rule.webhooks || rule.webhooks.length === 0) return [];
+
+  const payload = formatAlertPayload(event, alert, rule);
+  const deliveries = await WebhookDelivery.insertMany(
+    rule.webhooks.map(url => ({
+      alert: alert._id,
+      rule: rule._id,
+      url,
+      event,
+      payload,
+      nextAttemptAt: new Date(Date.now() + CLAIM_LEASE_MS)
+    }))
+  );
+
+  deliveries.forEach(delivery => {
+    attemptDelivery(delivery).catch(error => {
+      console.error('Error delivering webhook:', error);
+    });
+  });
+
+  return deliveries;
+};
+
+// Retry due deliveries. Each one is claimed by pushing nextAttemptAt forward so that
+// several server instances do not send the same delivery twice.
+const processPendingDeliveries = async (limit = 50) => {
+  let processed = 0;
+
+  while (processed < limit) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+
+    if (!delivery) break;
+
+    await attemptDelivery(delivery);
+    processed++;
+  }
+
+  return processed;
+};
+
+export { enqueueAlertWebhooks, processPendingDeliveries };